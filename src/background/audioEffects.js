@@ -0,0 +1,279 @@
+/**
+ * Firefox Tab Volume Control - Audio Effects
+ * Keeps the per-tab audio effects (such as auto level or the EQ) that the content script applies in its
+ * Web Audio graph. Effects stay on across navigation within the tab and are saved in the
+ * browser session, except for private tabs. The playback speed can also be remembered per site,
+ * like the volume.
+ */
+
+class AudioEffects {
+  /**
+   * @param {TabManager} tabManager - Tab manager used to check private tabs and update the popup
+   * @param {TabStateStore} tabStateStore - Store for per-tab effects in the browser session
+   * @param {SiteVolumeStore} siteVolumeStore - Store for remembered per-site volumes and speeds
+   * @param {Settings} settings - User settings
+   */
+  constructor(tabManager, tabStateStore, siteVolumeStore, settings) {
+    this.tabManager = tabManager;
+    this.tabStateStore = tabStateStore;
+    this.siteVolumeStore = siteVolumeStore;
+    this.settings = settings;
+
+    // State management
+    this.tabEffects = new Map(); // Tab ID -> effects that differ from the defaults
+    this.saveTimeouts = new Map(); // Tab ID -> pending session write
+
+    // Constants
+    this.STATE_KEY = 'audioEffects';
+    this.SAVE_DELAY = 500; // Coalesces bursts such as a slider drag into one write
+    this.DEFAULT_EFFECTS = {
+      autoLevel: false,
+      limiter: false,
+      nightMode: false,
+      equalizer: EQUALIZER.PRESETS.Flat,
+      balance: 0,
+      mono: false,
+      swap: false,
+      speed: 1,
+      preservePitch: true
+    };
+    this.EFFECT_TYPES = {
+      autoLevel: { type: 'boolean' },
+      limiter: { type: 'boolean' },
+      nightMode: { type: 'boolean' },
+      equalizer: { type: 'curve' },
+      balance: { type: 'number', min: -100, max: 100 }, // -100 is fully left, 100 fully right
+      mono: { type: 'boolean' },
+      swap: { type: 'boolean' },
+      speed: { type: 'number', min: 0.25, max: 4 }, // Playback rate, 1 is normal speed
+      preservePitch: { type: 'boolean' }
+    };
+
+    // Bind methods to preserve context
+    this.handleTabRemoved = this.handleTabRemoved.bind(this);
+    this.handleSiteChanged = this.handleSiteChanged.bind(this);
+
+    // Set up event listeners
+    browser.tabs.onRemoved.addListener(this.handleTabRemoved);
+    this.tabManager.addEventListener('siteChanged', this.handleSiteChanged);
+
+    // Resolves once effects saved in the session have been restored
+    this.ready = this.restoreEffects();
+  }
+
+  /**
+   * Read effects saved in the session before this background page started
+   */
+  async restoreEffects() {
+    try {
+      const tabs = await browser.tabs.query({});
+      await Promise.all(tabs.map(async tab => {
+        const saved = await this.tabStateStore.getTabValue(tab.id, this.STATE_KEY);
+        const result = this.sanitizeEffects(saved || {});
+        if (result.valid && Object.keys(result.effects).length > 0) {
+          this.tabEffects.set(tab.id, result.effects);
+        }
+      }));
+    } catch (error) {
+      console.error('Failed to restore audio effects:', error);
+    }
+  }
+
+  /**
+   * Check requested effect changes against EFFECT_TYPES
+   * @param {Object} changes - Requested effects
+   * @returns {Object} { valid: true, effects } with only known effects, or { valid: false, reason }
+   */
+  sanitizeEffects(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      return { valid: false, reason: 'Effects must be an object' };
+    }
+
+    const effects = {};
+    for (const [name, value] of Object.entries(changes)) {
+      const definition = this.EFFECT_TYPES[name];
+      if (!definition) {
+        return { valid: false, reason: `Unknown effect: ${name}` };
+      }
+      if (definition.type === 'curve') {
+        if (!EQUALIZER.isValidCurve(value)) {
+          return { valid: false, reason: `Invalid ${name}: must be ${EQUALIZER.BANDS.length} gains from ${EQUALIZER.MIN_GAIN} to ${EQUALIZER.MAX_GAIN} dB` };
+        }
+        effects[name] = [...value];
+        continue;
+      }
+      if (typeof value !== definition.type) {
+        return { valid: false, reason: `Invalid ${name}: must be a ${definition.type}` };
+      }
+      if (definition.type === 'number' && !(Number.isFinite(value) && value >= definition.min && value <= definition.max)) {
+        return { valid: false, reason: `Invalid ${name}: must be from ${definition.min} to ${definition.max}` };
+      }
+      effects[name] = value;
+    }
+    return { valid: true, effects };
+  }
+
+  /**
+   * Get the effects of a tab
+   * @param {number} tabId - Tab ID
+   * @returns {Object} Effects, with defaults for the ones not set
+   */
+  getEffects(tabId) {
+    return JSON.parse(JSON.stringify({ ...this.DEFAULT_EFFECTS, ...this.tabEffects.get(tabId) }));
+  }
+
+  /**
+   * Change effects of a tab and apply them in the tab
+   * @param {number} tabId - Tab ID
+   * @param {Object} changes - Effects to change, e.g. { autoLevel: true } or { equalizer: [6, 3, 0, 0, 0] }
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.remember=true] - Remember a changed speed for the tab's site
+   * @returns {Promise<Object>} Result ({ success, effects } or { success: false, error })
+   */
+  async setEffects(tabId, changes, options = {}) {
+    const { remember = true } = options;
+    const result = this.sanitizeEffects(changes);
+    if (!result.valid) {
+      return { success: false, error: result.reason };
+    }
+
+    const effects = { ...this.getEffects(tabId), ...result.effects };
+    // Only effects that differ from the defaults are kept
+    const changed = Object.fromEntries(Object.entries(effects).filter(([name, value]) => {
+      return JSON.stringify(value) !== JSON.stringify(this.DEFAULT_EFFECTS[name]);
+    }));
+    if (Object.keys(changed).length > 0) {
+      this.tabEffects.set(tabId, changed);
+    } else {
+      this.tabEffects.delete(tabId);
+    }
+
+    // Private tabs keep their effects in memory only
+    if (!this.tabManager.isPrivateTab(tabId)) {
+      this.scheduleSave(tabId);
+    }
+    if (remember && 'speed' in result.effects) {
+      this.rememberSiteSpeed(tabId, effects.speed);
+    }
+
+    browser.tabs.sendMessage(tabId, { action: 'setEffects', effects }).catch(() => {});
+    this.tabManager.notifyPopupUpdate();
+    return { success: true, effects };
+  }
+
+  /**
+   * Save a tab's effects in the session soon, once the current burst of changes is over
+   * @param {number} tabId - Tab ID
+   */
+  scheduleSave(tabId) {
+    clearTimeout(this.saveTimeouts.get(tabId));
+    this.saveTimeouts.set(tabId, setTimeout(() => {
+      this.saveTimeouts.delete(tabId);
+      this.tabStateStore.saveTabValue(tabId, this.STATE_KEY, this.tabEffects.get(tabId));
+    }, this.SAVE_DELAY));
+  }
+
+  /**
+   * Remember a tab's playback speed for its site, forgetting it when it is back at normal speed
+   * Private tabs never remember speeds.
+   * @param {number} tabId - Tab ID
+   * @param {number} speed - Playback rate
+   */
+  rememberSiteSpeed(tabId, speed) {
+    if (!this.settings.get('rememberSiteSpeeds') || this.tabManager.isPrivateTab(tabId)) return;
+
+    const hostname = this.tabManager.tabHostnames.get(tabId);
+    const cookieStoreId = this.tabManager.getSiteVolumeContainer(tabId);
+    if (speed === this.DEFAULT_EFFECTS.speed) {
+      this.siteVolumeStore.removeSpeed(hostname, cookieStoreId);
+    } else {
+      this.siteVolumeStore.setSpeed(hostname, speed, cookieStoreId);
+    }
+  }
+
+  /**
+   * Apply the speed remembered for the site a tab navigated to, or go back to normal speed
+   * @param {Object} data - Event data ({ tabId, hostname, previousHostname })
+   */
+  async handleSiteChanged({ tabId, hostname, previousHostname }) {
+    await Promise.all([this.ready, this.siteVolumeStore.loaded, this.settings.loaded]);
+
+    const rememberedSpeed = this.settings.get('rememberSiteSpeeds') && !this.tabManager.isPrivateTab(tabId)
+      ? this.siteVolumeStore.getSpeed(hostname, this.tabManager.getSiteVolumeContainer(tabId))
+      : undefined;
+    const speed = this.getEffects(tabId).speed;
+
+    if (rememberedSpeed !== undefined) {
+      if (speed !== rememberedSpeed) {
+        await this.setEffects(tabId, { speed: rememberedSpeed }, { remember: false });
+      }
+    } else if (previousHostname && speed !== this.DEFAULT_EFFECTS.speed) {
+      // The speed belonged to the previous site
+      await this.setEffects(tabId, { speed: this.DEFAULT_EFFECTS.speed }, { remember: false });
+    }
+  }
+
+  /**
+   * Ask a tab for the live state of its effects, e.g. the measured auto level
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object|null>} Status from the content script, null if the tab did not answer
+   */
+  async getStatus(tabId) {
+    try {
+      const response = await browser.tabs.sendMessage(tabId, { action: 'getEffectsStatus' });
+      return response && !response.error ? response : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the media elements of a tab with their own volumes
+   * Elements only exist in the page, so their volumes are kept by the content script.
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Array<Object>>} Elements ({ id, tag, label, paused, volume, fallback }), empty if the tab did not answer
+   */
+  async getMediaElements(tabId) {
+    try {
+      const response = await browser.tabs.sendMessage(tabId, { action: 'getMediaElements' });
+      return Array.isArray(response?.elements) ? response.elements : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Set the volume of one media element in a tab, on top of the tab volume
+   * @param {number} tabId - Tab ID
+   * @param {number} elementId - Element ID from getMediaElements
+   * @param {number} volume - Volume in percent of the tab volume
+   * @returns {Promise<Object>} Result ({ success, volume } or { success: false, error })
+   */
+  async setElementVolume(tabId, elementId, volume) {
+    try {
+      const response = await browser.tabs.sendMessage(tabId, { action: 'setElementVolume', elementId, volume });
+      return response || { success: false, error: 'No response from tab' };
+    } catch (error) {
+      console.error(`Failed to set element volume in tab ${tabId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Forget the effects of closed tabs
+   * @param {number} tabId - Closed tab ID
+   */
+  handleTabRemoved(tabId) {
+    clearTimeout(this.saveTimeouts.get(tabId));
+    this.saveTimeouts.delete(tabId);
+    this.tabEffects.delete(tabId);
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AudioEffects;
+} else {
+  // Browser environment
+  window.AudioEffects = AudioEffects;
+}
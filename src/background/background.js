@@ -3,54 +3,267 @@
  * Main coordinator that handles messages and delegates tab management
  */
 
-// Import TabManager - this will be loaded via manifest scripts array
-// tabManager.js will be loaded first, making TabManager available globally
+// Scripts are loaded in manifest order, so the classes below are available globally
+const settings = new Settings();
+const siteVolumeStore = new SiteVolumeStore();
+const tabStateStore = new TabStateStore();
+const volumeRules = new VolumeRules();
+const tabManager = new TabManager(siteVolumeStore, tabStateStore, volumeRules, settings);
+const volumeHistory = new VolumeHistory(tabManager);
+const audioEffects = new AudioEffects(tabManager, tabStateStore, siteVolumeStore, settings);
+const messageValidator = new MessageValidator(tabManager);
+const externalApiLog = new ExternalApiLog();
+const externalApi = new ExternalApi(tabManager, messageValidator, externalApiLog, settings);
+const focusMode = new FocusMode(tabManager, tabStateStore, settings);
+const duckingManager = new DuckingManager(tabManager, tabStateStore, settings);
+const quietHours = new QuietHours(tabManager, settings);
+const popupPorts = new PopupPorts(tabManager, messageValidator, quietHours, volumeHistory, audioEffects);
+const contextMenuManager = new ContextMenuManager(tabManager, focusMode);
+const badgeManager = new BadgeManager(tabManager, settings);
 
-// Initialize the tab manager
-const tabManager = new TabManager();
+/**
+ * Create a rejection handler that answers a message with the error
+ * Without it a failed action never calls sendResponse and the sender's promise never settles.
+ * @param {Function} sendResponse - Response callback of the message
+ * @returns {Function} Rejection handler
+ */
+function respondWithError(sendResponse) {
+  return (error) => {
+    console.error('Failed to handle message:', error);
+    sendResponse({ success: false, error: error.message });
+  };
+}
 
 /**
  * Handle messages from content scripts and popup
  */
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  const tabId = message.tabId || sender.tab?.id;
+  const validation = messageValidator.validate(message, sender);
+  if (!validation.valid) {
+    console.warn('Rejected message:', validation.error);
+    sendResponse(validation.error);
+    return;
+  }
+
+  // Only use the validated copy, with clamped volumes and an authorized tab ID
+  const request = validation.message;
+  const tabId = request.tabId;
 
-  switch (message.action) {
+  switch (request.action) {
     case 'setVolume':
-      if (tabId && message.volume !== undefined) {
-        tabManager.setTabVolume(tabId, message.volume);
+      if (request.gestureId) {
+        // Changes from the popup sliders can be undone, one entry per drag
+        volumeHistory.record('Change tab volume', () => {
+          return tabManager.setTabVolume(tabId, request.volume) ? [tabId] : [];
+        }, { gestureId: request.gestureId, remember: true }).then(tabIds => {
+          sendResponse(tabIds.length > 0
+            ? { success: true, history: volumeHistory.getState() }
+            : { success: false, error: 'Tab volume is locked by a rule' });
+        }).catch(respondWithError(sendResponse));
+        return true;
+      }
+      if (tabManager.setTabVolume(tabId, request.volume)) {
         sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Tab volume is locked by a rule' });
       }
       break;
 
     case 'getVolume':
-      if (tabId) {
-        sendResponse({ volume: tabManager.getTabVolume(tabId) });
-      } else {
-        sendResponse({ error: 'No tab ID provided' });
-      }
-      break;
+      // Wait for session state so restored tabs get their saved volume
+      tabManager.ready.then(() => {
+        sendResponse({ volume: tabManager.getEffectiveVolume(tabId) });
+      }).catch(respondWithError(sendResponse));
+      return true;
 
-    case 'getTabAudioStatus':
-      tabManager.getAudioTabStatus().then(tabs => {
-        sendResponse({ tabs });
-      });
+    case 'toggleSolo':
+      tabManager.toggleSolo(tabId).then(soloTabId => {
+        sendResponse({ success: true, soloTabId });
+      }).catch(respondWithError(sendResponse));
       return true;
 
     case 'applyToAllTabs':
-      tabManager.applyToAllTabs(message.volume).then(() => {
-        sendResponse({ success: true });
-      });
+      volumeHistory.record(`Set all tabs to ${request.volume}%`, () => tabManager.applyToAllTabs(request.volume)).then(() => {
+        sendResponse({ success: true, history: volumeHistory.getState() });
+      }).catch(respondWithError(sendResponse));
       return true;
 
     case 'resetAllTabs':
-      tabManager.resetAllTabs().then(() => {
+      volumeHistory.record('Reset all tabs', () => tabManager.resetAllTabs()).then(() => {
+        sendResponse({ success: true, history: volumeHistory.getState() });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'applyToTabs':
+      volumeHistory.record(`Set tabs to ${request.volume}%`, () => tabManager.applyToTabs(request.volume, request.scope)).then(tabIds => {
+        sendResponse({ success: true, tabIds, history: volumeHistory.getState() });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'resetTabs':
+      volumeHistory.record('Reset tabs', () => tabManager.resetTabs(request.scope)).then(tabIds => {
+        sendResponse({ success: true, tabIds, history: volumeHistory.getState() });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'undo':
+      volumeHistory.undo().then(success => {
+        sendResponse({ success, history: volumeHistory.getState() });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'redo':
+      volumeHistory.redo().then(success => {
+        sendResponse({ success, history: volumeHistory.getState() });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'getHistory':
+      sendResponse({ history: volumeHistory.getState() });
+      break;
+
+    case 'getSiteVolumes':
+      Promise.all([siteVolumeStore.loaded, tabManager.getContainers()]).then(([, containers]) => {
+        const sites = siteVolumeStore.getAll().map(site => ({
+          ...site,
+          container: containers.get(site.cookieStoreId) || null
+        }));
+        sendResponse({ sites });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'forgetSiteVolume':
+      siteVolumeStore.remove(request.hostname, request.cookieStoreId).then(removed => {
+        sendResponse({ success: removed });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'clearSiteVolumes':
+      siteVolumeStore.clear().then(() => {
+        sendResponse({ success: true });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'getVolumeRules':
+      volumeRules.loaded.then(() => {
+        sendResponse({ rules: volumeRules.getRules() });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'addVolumeRule':
+      volumeRules.addRule(request.rule).then(result => {
+        if (result.rule) {
+          tabManager.reapplyRules();
+        }
+        sendResponse(result);
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'updateVolumeRule':
+      volumeRules.updateRule(request.ruleId, request.changes).then(result => {
+        if (result.rule) {
+          tabManager.reapplyRules(request.ruleId);
+        }
+        sendResponse(result);
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'removeVolumeRule':
+      volumeRules.removeRule(request.ruleId).then(removed => {
+        if (removed) {
+          tabManager.reapplyRules();
+        }
+        sendResponse({ success: removed });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'testVolumeRules':
+      volumeRules.loaded.then(() => {
+        sendResponse({
+          rule: volumeRules.findMatch(request.url),
+          matches: volumeRules.findAllMatches(request.url)
+        });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'setEffects':
+      audioEffects.setEffects(tabId, request.effects).then(sendResponse).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'getEffects':
+      audioEffects.ready.then(() => {
+        sendResponse({ effects: audioEffects.getEffects(tabId) });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'getEffectsStatus':
+      audioEffects.getStatus(tabId).then(status => {
+        sendResponse({ status });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'getMediaElements':
+      audioEffects.getMediaElements(tabId).then(elements => {
+        sendResponse({ elements });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'setElementVolume':
+      audioEffects.setElementVolume(tabId, request.elementId, request.volume).then(sendResponse).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'getExternalApiLog':
+      externalApiLog.loaded.then(() => {
+        sendResponse({ entries: externalApiLog.getAll() });
+      }).catch(respondWithError(sendResponse));
+      return true;
+
+    case 'clearExternalApiLog':
+      externalApiLog.clear().then(() => {
         sendResponse({ success: true });
-      });
+      }).catch(respondWithError(sendResponse));
       return true;
 
     default:
-      sendResponse({ error: 'Unknown action' });
+      // Every action in MESSAGE_SCHEMA is handled above
+      sendResponse({ success: false, error: `Unknown action: ${request.action}`, code: 'UNKNOWN_ACTION' });
       break;
   }
 });
+
+/**
+ * Handle keyboard shortcuts for the active tab
+ */
+browser.commands.onCommand.addListener(async (command) => {
+  try {
+    const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) return;
+
+    await tabManager.ready;
+
+    switch (command) {
+      case 'volume-up':
+        tabManager.adjustTabVolume(activeTab.id, settings.get('volumeStep'));
+        break;
+
+      case 'volume-down':
+        tabManager.adjustTabVolume(activeTab.id, -settings.get('volumeStep'));
+        break;
+
+      case 'toggle-mute':
+        tabManager.toggleTabMute(activeTab.id);
+        break;
+
+      case 'reset-volume':
+        tabManager.resetTabVolume(activeTab.id);
+        break;
+
+      default:
+        return;
+    }
+
+    tabManager.notifyPopupUpdate();
+  } catch (error) {
+    console.error(`Failed to handle command ${command}:`, error);
+  }
+});
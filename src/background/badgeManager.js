@@ -0,0 +1,119 @@
+/**
+ * Firefox Tab Volume Control - Badge Manager
+ * Shows the volume each tab plays at, caps included, on the toolbar button when it is not 100%
+ */
+
+class BadgeManager {
+  /**
+   * @param {TabManager} tabManager - Tab manager to read volumes from
+   * @param {Settings} settings - User settings
+   */
+  constructor(tabManager, settings) {
+    this.tabManager = tabManager;
+    this.settings = settings;
+
+    // Constants
+    this.UNITY_VOLUME = 100;
+
+    // Bind methods to preserve context
+    this.handleVolumeChanged = this.handleVolumeChanged.bind(this);
+    this.handleTabActivated = this.handleTabActivated.bind(this);
+    this.handleTabUpdated = this.handleTabUpdated.bind(this);
+    this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+
+    // Set up event listeners
+    this.setupEventListeners();
+
+    // Show restored volumes once the tab manager has rebuilt its state
+    this.tabManager.ready.then(() => this.updateAllTabs());
+  }
+
+  /**
+   * Set up browser and tab manager event listeners
+   */
+  setupEventListeners() {
+    this.tabManager.addEventListener('volumeChanged', this.handleVolumeChanged);
+    this.tabManager.addEventListener('capsChanged', this.handleVolumeChanged);
+    this.settings.addChangeListener(this.handleSettingsChanged);
+    browser.tabs.onActivated.addListener(this.handleTabActivated);
+    browser.tabs.onUpdated.addListener(this.handleTabUpdated);
+  }
+
+  /**
+   * Update the badge for a tab
+   * @param {number} tabId - Tab ID
+   */
+  updateTab(tabId) {
+    const volume = this.tabManager.getEffectiveVolume(tabId);
+    const showBadge = this.settings.get('showBadge') && volume !== this.UNITY_VOLUME;
+    const text = showBadge ? String(volume) : '';
+
+    browser.action.setBadgeText({ tabId, text }).catch(() => {
+      // Tab might have been closed, that's fine
+    });
+
+    if (showBadge) {
+      const color = VOLUME_LEVELS.COLORS[VOLUME_LEVELS.getLevel(volume)];
+      browser.action.setBadgeBackgroundColor({ tabId, color }).catch(() => {});
+      browser.action.setBadgeTextColor({ tabId, color: '#ffffff' }).catch(() => {});
+    }
+  }
+
+  /**
+   * Update the badge for all open tabs
+   */
+  async updateAllTabs() {
+    try {
+      const tabs = await browser.tabs.query({});
+      tabs.forEach(tab => this.updateTab(tab.id));
+    } catch (error) {
+      console.error('Failed to update toolbar badges:', error);
+    }
+  }
+
+  /**
+   * Handle volume and cap changes from the tab manager
+   * @param {Object} event - Volume change event ({ tabId, volume, previousVolume })
+   */
+  handleVolumeChanged(event) {
+    this.updateTab(event.tabId);
+  }
+
+  /**
+   * Refresh the badge when a tab becomes active
+   * @param {Object} activeInfo - Activation info
+   */
+  handleTabActivated(activeInfo) {
+    this.updateTab(activeInfo.tabId);
+  }
+
+  /**
+   * Refresh the badge after navigation, which clears tab-specific badge values
+   * @param {number} tabId - Tab ID
+   * @param {Object} changeInfo - Change info
+   */
+  handleTabUpdated(tabId, changeInfo) {
+    if (changeInfo.url || changeInfo.status === 'complete') {
+      this.updateTab(tabId);
+    }
+  }
+
+  /**
+   * Handle settings changes
+   * @param {Array<string>} changedKeys - Keys of changed settings
+   */
+  handleSettingsChanged(changedKeys) {
+    const badgeKeys = ['showBadge', 'defaultVolume', 'containerDefaultVolumes', 'privateDefaultVolumeEnabled', 'privateDefaultVolume'];
+    if (changedKeys.some(key => badgeKeys.includes(key))) {
+      this.updateAllTabs();
+    }
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BadgeManager;
+} else {
+  // Browser environment
+  window.BadgeManager = BadgeManager;
+}
@@ -0,0 +1,171 @@
+/**
+ * Firefox Tab Volume Control - Context Menu Manager
+ * Adds a "Tab Volume" submenu to the tab strip context menu
+ */
+
+class ContextMenuManager {
+  /**
+   * @param {TabManager} tabManager - Tab manager used to read and change volumes
+   * @param {FocusMode} focusMode - Focus mode, for per-tab exemptions
+   */
+  constructor(tabManager, focusMode) {
+    this.tabManager = tabManager;
+    this.focusMode = focusMode;
+
+    // State management
+    this.menuInstanceId = 0; // Guards against updating a menu that was closed meanwhile
+
+    // Constants
+    this.ROOT_ID = 'tab-volume';
+    this.LEVEL_PREFIX = 'tab-volume-level-';
+    this.MUTE_ID = 'tab-volume-mute';
+    this.RESET_ID = 'tab-volume-reset';
+    this.FOCUS_EXEMPT_ID = 'tab-volume-focus-exempt';
+    this.PRESET_LEVELS = [0, 25, 50, 75, 100, 150, 200, 300, 500];
+
+    // Bind methods to preserve context
+    this.handleMenuShown = this.handleMenuShown.bind(this);
+    this.handleMenuHidden = this.handleMenuHidden.bind(this);
+    this.handleMenuClicked = this.handleMenuClicked.bind(this);
+
+    // Set up menus and event listeners
+    this.createMenus();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up browser event listeners
+   */
+  setupEventListeners() {
+    browser.menus.onShown.addListener(this.handleMenuShown);
+    browser.menus.onHidden.addListener(this.handleMenuHidden);
+    browser.menus.onClicked.addListener(this.handleMenuClicked);
+  }
+
+  /**
+   * Create the tab context menu items
+   */
+  async createMenus() {
+    try {
+      // Menus survive background restarts, start from a clean slate
+      await browser.menus.removeAll();
+
+      browser.menus.create({ id: this.ROOT_ID, title: 'Tab Volume', contexts: ['tab'] });
+
+      this.PRESET_LEVELS.forEach(level => {
+        browser.menus.create({
+          id: `${this.LEVEL_PREFIX}${level}`,
+          parentId: this.ROOT_ID,
+          type: 'radio',
+          title: level === 0 ? 'Mute (0%)' : `${level}%`,
+          contexts: ['tab']
+        });
+      });
+
+      browser.menus.create({ id: 'tab-volume-separator', parentId: this.ROOT_ID, type: 'separator', contexts: ['tab'] });
+      browser.menus.create({ id: this.MUTE_ID, parentId: this.ROOT_ID, title: 'Mute', contexts: ['tab'] });
+      browser.menus.create({ id: this.RESET_ID, parentId: this.ROOT_ID, title: 'Reset to Default', contexts: ['tab'] });
+      browser.menus.create({
+        id: this.FOCUS_EXEMPT_ID,
+        parentId: this.ROOT_ID,
+        type: 'checkbox',
+        title: 'Keep Audible in Focus Mode',
+        contexts: ['tab']
+      });
+    } catch (error) {
+      console.error('Failed to create tab context menu:', error);
+    }
+  }
+
+  /**
+   * Update the menu for the tab it was opened on
+   * @param {Object} info - Menu info
+   * @param {Object} tab - Tab the menu was opened on
+   */
+  async handleMenuShown(info, tab) {
+    if (!tab || !info.contexts.includes('tab')) return;
+
+    const instanceId = ++this.menuInstanceId;
+    await this.tabManager.ready;
+    if (instanceId !== this.menuInstanceId) return;
+
+    const volume = this.tabManager.getTabVolume(tab.id);
+    const locked = this.tabManager.getLockedRule(tab.id) !== null;
+
+    try {
+      await Promise.all([
+        browser.menus.update(this.ROOT_ID, {
+          title: locked ? `Tab Volume (${volume}%, locked)` : `Tab Volume (${volume}%)`
+        }),
+        this.updatePresetItems(volume, locked),
+        browser.menus.update(this.MUTE_ID, { title: volume === 0 ? 'Unmute' : 'Mute', enabled: !locked }),
+        browser.menus.update(this.RESET_ID, { enabled: !locked }),
+        browser.menus.update(this.FOCUS_EXEMPT_ID, {
+          checked: this.focusMode.isExempt(tab.id),
+          visible: this.focusMode.isEnabled()
+        })
+      ]);
+      browser.menus.refresh();
+    } catch (error) {
+      console.error('Failed to update tab context menu:', error);
+    }
+  }
+
+  /**
+   * Check the preset matching the volume, or none of them when the volume is not a preset
+   * Every preset is unchecked first, since checking nothing else leaves a radio item checked.
+   * @param {number} volume - Tab volume
+   * @param {boolean} locked - Whether a rule locks the tab's volume
+   */
+  async updatePresetItems(volume, locked) {
+    await Promise.all(this.PRESET_LEVELS.map(level => browser.menus.update(`${this.LEVEL_PREFIX}${level}`, {
+      checked: false,
+      enabled: !locked
+    })));
+
+    if (this.PRESET_LEVELS.includes(volume)) {
+      await browser.menus.update(`${this.LEVEL_PREFIX}${volume}`, { checked: true });
+    }
+  }
+
+  /**
+   * Invalidate pending menu updates when the menu closes
+   */
+  handleMenuHidden() {
+    this.menuInstanceId++;
+  }
+
+  /**
+   * Apply the clicked menu action to the tab
+   * @param {Object} info - Click info
+   * @param {Object} tab - Tab the menu was opened on
+   */
+  async handleMenuClicked(info, tab) {
+    if (!tab) return;
+    const menuItemId = String(info.menuItemId);
+    await this.tabManager.ready;
+
+    if (menuItemId.startsWith(this.LEVEL_PREFIX)) {
+      const volume = parseInt(menuItemId.slice(this.LEVEL_PREFIX.length));
+      this.tabManager.setTabVolume(tab.id, volume);
+    } else if (menuItemId === this.MUTE_ID) {
+      this.tabManager.toggleTabMute(tab.id);
+    } else if (menuItemId === this.RESET_ID) {
+      this.tabManager.resetTabVolume(tab.id);
+    } else if (menuItemId === this.FOCUS_EXEMPT_ID) {
+      await this.focusMode.setExempt(tab.id, info.checked);
+    } else {
+      return;
+    }
+
+    this.tabManager.notifyPopupUpdate();
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContextMenuManager;
+} else {
+  // Browser environment
+  window.ContextMenuManager = ContextMenuManager;
+}
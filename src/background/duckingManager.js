@@ -0,0 +1,289 @@
+/**
+ * Firefox Tab Volume Control - Ducking Manager
+ * Lowers other audio tabs while a tab on the user's priority list is playing. Ducked tabs are
+ * saved in the session and the restore runs from an alarm, so both survive the background
+ * page being unloaded.
+ */
+
+class DuckingManager {
+  /**
+   * @param {TabManager} tabManager - Tab manager that applies the volume caps
+   * @param {TabStateStore} tabStateStore - Store for the ducked tabs in the browser session
+   * @param {Settings} settings - User settings
+   */
+  constructor(tabManager, tabStateStore, settings) {
+    this.tabManager = tabManager;
+    this.tabStateStore = tabStateStore;
+    this.settings = settings;
+
+    // State management
+    this.priorityTabs = new Set(); // Audible tabs matching a priority pattern
+    this.restoreTimeoutId = null;
+    this.restorePending = false; // Restore delay running, the other tabs stay ducked until it ends
+
+    // Constants
+    this.CAP_SOURCE = 'ducking';
+    this.STATE_KEY = 'ducked';
+    this.RESTORE_ALARM = 'duckingRestore';
+
+    // Bind methods to preserve context
+    this.handleAudibleChanged = this.handleAudibleChanged.bind(this);
+    this.handleTabRemoved = this.handleTabRemoved.bind(this);
+    this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+    this.handleAlarm = this.handleAlarm.bind(this);
+
+    // Set up event listeners
+    this.setupEventListeners();
+
+    // Rebuild the ducking that was active before this background page started
+    this.ready = this.tabManager.ready.then(() => this.restoreState());
+  }
+
+  /**
+   * Set up browser and tab manager event listeners
+   */
+  setupEventListeners() {
+    this.tabManager.addEventListener('audibleChanged', this.handleAudibleChanged);
+    this.settings.addChangeListener(this.handleSettingsChanged);
+    browser.tabs.onRemoved.addListener(this.handleTabRemoved);
+    browser.alarms.onAlarm.addListener(this.handleAlarm);
+  }
+
+  /**
+   * Rebuild the ducking from the session: duck again while a priority tab still plays, keep the
+   * tabs ducked while the restore alarm is pending, and otherwise give them their volume back
+   */
+  async restoreState() {
+    try {
+      const [tabs, alarm] = await Promise.all([browser.tabs.query({}), browser.alarms.get(this.RESTORE_ALARM)]);
+      const ducked = await Promise.all(tabs.map(tab => this.tabStateStore.getTabValue(tab.id, this.STATE_KEY)));
+
+      tabs.filter(tab => tab.audible && this.isPriorityUrl(tab.url)).forEach(tab => this.priorityTabs.add(tab.id));
+      if (this.priorityTabs.size > 0) {
+        this.cancelRestore();
+        await this.duckOtherTabs();
+        return;
+      }
+
+      const duckedTabs = tabs.filter((tab, index) => ducked[index]);
+      if (alarm) {
+        this.restorePending = true;
+        duckedTabs.forEach(tab => this.duckTab(tab.id));
+      } else {
+        duckedTabs.forEach(tab => {
+          this.saveDucked(tab.id, false);
+          const volume = this.tabManager.getEffectiveVolume(tab.id);
+          browser.tabs.sendMessage(tab.id, { action: 'setVolume', volume }).catch(() => {});
+        });
+      }
+      if (duckedTabs.length > 0) {
+        this.tabManager.notifyPopupUpdate();
+      }
+    } catch (error) {
+      console.error('Failed to restore ducking:', error);
+    }
+  }
+
+  /**
+   * Save whether a tab is ducked to the session
+   * @param {number} tabId - Tab ID
+   * @param {boolean} ducked - Whether the tab is ducked
+   */
+  saveDucked(tabId, ducked) {
+    // Private tabs keep their state in memory only
+    if (this.tabManager.isPrivateTab(tabId)) return;
+    this.tabStateStore.saveTabValue(tabId, this.STATE_KEY, ducked ? true : undefined);
+  }
+
+  /**
+   * Lower a tab to the ducking volume
+   * @param {number} tabId - Tab ID
+   */
+  duckTab(tabId) {
+    this.tabManager.setVolumeCap(tabId, this.CAP_SOURCE, this.settings.get('duckingVolume'));
+    this.saveDucked(tabId, true);
+  }
+
+  /**
+   * Check if a URL is on the priority list
+   * @param {string} url - Tab URL
+   * @returns {boolean} True if the URL matches a priority pattern
+   */
+  isPriorityUrl(url) {
+    if (!url) return false;
+    return this.settings.get('duckingPatterns').some(pattern => UrlMatcher.matches(pattern, 'glob', url));
+  }
+
+  /**
+   * Check if other tabs are currently ducked
+   * @returns {boolean} True while a priority tab plays or the restore delay runs
+   */
+  isDucking() {
+    return this.priorityTabs.size > 0 || this.restorePending;
+  }
+
+  /**
+   * Start or stop ducking when a tab starts or stops playing
+   * @param {Object} event - Audible change event ({ tabId, audible })
+   */
+  async handleAudibleChanged(event) {
+    const { tabId, audible } = event;
+
+    if (!audible) {
+      if (this.priorityTabs.delete(tabId)) {
+        this.scheduleRestore();
+      }
+      return;
+    }
+
+    try {
+      const tab = await browser.tabs.get(tabId);
+      if (this.isPriorityUrl(tab.url)) {
+        this.priorityTabs.add(tabId);
+        this.cancelRestore();
+        await this.duckOtherTabs();
+      } else if (this.isDucking()) {
+        // Tabs that start playing while ducking is active are lowered as well
+        this.duckTab(tabId);
+        this.tabManager.notifyPopupUpdate();
+      }
+    } catch (error) {
+      // Tab was closed, nothing to duck
+    }
+  }
+
+  /**
+   * Lower every audio tab that is not a playing priority tab
+   */
+  async duckOtherTabs() {
+    try {
+      const tabs = await browser.tabs.query({});
+      tabs.forEach(tab => {
+        if (this.priorityTabs.has(tab.id)) {
+          if (this.tabManager.clearVolumeCap(tab.id, this.CAP_SOURCE)) {
+            this.saveDucked(tab.id, false);
+          }
+        } else if (this.tabManager.audioTabs.has(tab.id) || tab.audible) {
+          this.duckTab(tab.id);
+        }
+      });
+      this.tabManager.notifyPopupUpdate();
+    } catch (error) {
+      console.error('Failed to duck audio tabs:', error);
+    }
+  }
+
+  /**
+   * Restore the other tabs after the restore delay once no priority tab is playing
+   * The timeout restores them on time while the background page runs; the alarm restores them
+   * if the page is unloaded before the timeout fires.
+   */
+  scheduleRestore() {
+    if (this.priorityTabs.size > 0) return;
+
+    this.cancelRestore();
+    const delay = this.settings.get('duckingRestoreDelay');
+    this.restorePending = true;
+    this.restoreTimeoutId = setTimeout(() => this.finishRestore(), delay);
+    browser.alarms.create(this.RESTORE_ALARM, { when: Date.now() + delay });
+  }
+
+  /**
+   * Cancel a pending restore, e.g. when the priority tab resumes playing
+   */
+  cancelRestore() {
+    clearTimeout(this.restoreTimeoutId);
+    this.restoreTimeoutId = null;
+    this.restorePending = false;
+    browser.alarms.clear(this.RESTORE_ALARM).catch(() => {});
+  }
+
+  /**
+   * End the restore delay and restore the tabs
+   */
+  finishRestore() {
+    this.cancelRestore();
+    this.restoreTabs();
+  }
+
+  /**
+   * Restore the tabs when the restore alarm fires
+   * @param {Object} alarm - Fired alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== this.RESTORE_ALARM) return;
+    await this.ready;
+    if (this.priorityTabs.size === 0) {
+      this.finishRestore();
+    }
+  }
+
+  /**
+   * Lift the ducking cap from all tabs
+   */
+  restoreTabs() {
+    let changed = false;
+    Array.from(this.tabManager.volumeCaps.keys()).forEach(tabId => {
+      if (this.tabManager.clearVolumeCap(tabId, this.CAP_SOURCE)) {
+        this.saveDucked(tabId, false);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      this.tabManager.notifyPopupUpdate();
+    }
+  }
+
+  /**
+   * Treat a closed priority tab like one that went quiet
+   * @param {number} tabId - Tab ID
+   */
+  handleTabRemoved(tabId) {
+    if (this.priorityTabs.delete(tabId)) {
+      this.scheduleRestore();
+    }
+  }
+
+  /**
+   * Handle settings changes
+   * @param {Array<string>} changedKeys - Keys of changed settings
+   */
+  handleSettingsChanged(changedKeys) {
+    if (changedKeys.includes('duckingPatterns')) {
+      this.updatePriorityTabs();
+    } else if (changedKeys.includes('duckingVolume') && this.priorityTabs.size > 0) {
+      this.duckOtherTabs();
+    }
+  }
+
+  /**
+   * Check the playing tabs against changed priority patterns, then duck or restore the others
+   */
+  async updatePriorityTabs() {
+    try {
+      await this.ready;
+      const tabs = await browser.tabs.query({ audible: true });
+      const wasDucking = this.priorityTabs.size > 0;
+
+      this.priorityTabs = new Set(tabs.filter(tab => this.isPriorityUrl(tab.url)).map(tab => tab.id));
+      if (this.priorityTabs.size > 0) {
+        this.cancelRestore();
+        await this.duckOtherTabs();
+      } else if (wasDucking) {
+        // No playing tab is on the list anymore, so there is nothing to wait for
+        this.finishRestore();
+      }
+    } catch (error) {
+      console.error('Failed to update priority tabs:', error);
+    }
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DuckingManager;
+} else {
+  // Browser environment
+  window.DuckingManager = DuckingManager;
+}
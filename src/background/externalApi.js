@@ -0,0 +1,322 @@
+/**
+ * Firefox Tab Volume Control - External API
+ * Lets other extensions on the user's allowlist list audio tabs, read and set volumes and
+ * subscribe to changes through runtime.onMessageExternal. Private tabs are never exposed.
+ * Subscriptions are kept in browser.storage.local, so they survive the background page being unloaded.
+ */
+
+class ExternalApi {
+  /**
+   * @param {TabManager} tabManager - Tab manager that reads and changes the volumes
+   * @param {MessageValidator} messageValidator - Validator used to check tab IDs and clamp volumes
+   * @param {ExternalApiLog} externalApiLog - Log of changes made by other extensions
+   * @param {Settings} settings - User settings with the allowlist
+   */
+  constructor(tabManager, messageValidator, externalApiLog, settings) {
+    this.tabManager = tabManager;
+    this.messageValidator = messageValidator;
+    this.externalApiLog = externalApiLog;
+    this.settings = settings;
+
+    // State management
+    this.subscribers = new Set(); // IDs of extensions that receive change events
+
+    // Constants
+    this.SETTING_KEY = 'externalApiAllowlist';
+    this.STORAGE_KEY = 'externalApiSubscribers';
+    this.ACTIONS = ['listTabs', 'getVolume', 'setVolume', 'subscribe', 'unsubscribe'];
+
+    // Bind methods to preserve context
+    this.handleExternalMessage = this.handleExternalMessage.bind(this);
+    this.handleVolumeChanged = this.handleVolumeChanged.bind(this);
+    this.handleAudibleChanged = this.handleAudibleChanged.bind(this);
+    this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+
+    // Set up event listeners
+    this.setupEventListeners();
+
+    // Resolves once the subscriptions have been read from storage
+    this.loaded = this.loadSubscribers();
+  }
+
+  /**
+   * Set up browser and tab manager event listeners
+   */
+  setupEventListeners() {
+    browser.runtime.onMessageExternal.addListener(this.handleExternalMessage);
+    this.tabManager.addEventListener('volumeChanged', this.handleVolumeChanged);
+    this.tabManager.addEventListener('audibleChanged', this.handleAudibleChanged);
+    this.settings.addChangeListener(this.handleSettingsChanged);
+  }
+
+  /**
+   * Load the subscriptions from storage, dropping extensions that are no longer allowed
+   */
+  async loadSubscribers() {
+    try {
+      const [result] = await Promise.all([browser.storage.local.get(this.STORAGE_KEY), this.settings.loaded]);
+      const stored = result[this.STORAGE_KEY];
+      if (Array.isArray(stored)) {
+        stored.filter(extensionId => this.isAllowed(extensionId)).forEach(extensionId => this.subscribers.add(extensionId));
+      }
+    } catch (error) {
+      console.error('Failed to load external API subscribers:', error);
+    }
+  }
+
+  /**
+   * Persist the subscriptions to storage
+   */
+  async saveSubscribers() {
+    try {
+      await browser.storage.local.set({ [this.STORAGE_KEY]: Array.from(this.subscribers) });
+    } catch (error) {
+      console.error('Failed to save external API subscribers:', error);
+    }
+  }
+
+  /**
+   * Add or remove a subscription and persist the change
+   * @param {string} extensionId - Extension ID
+   * @param {boolean} subscribed - Whether the extension receives change events
+   */
+  async setSubscribed(extensionId, subscribed) {
+    await this.loaded;
+    if (this.subscribers.has(extensionId) === subscribed) return;
+
+    if (subscribed) {
+      this.subscribers.add(extensionId);
+    } else {
+      this.subscribers.delete(extensionId);
+    }
+    await this.saveSubscribers();
+  }
+
+  /**
+   * Check if an extension is on the user's allowlist
+   * @param {string} extensionId - Extension ID
+   * @returns {boolean} True if the extension may use the API
+   */
+  isAllowed(extensionId) {
+    return this.settings.get(this.SETTING_KEY).includes(extensionId);
+  }
+
+  /**
+   * Create a structured error response, in the same format as MessageValidator
+   * @param {string} code - Error code
+   * @param {string} message - Human-readable error
+   * @returns {Object} Error response
+   */
+  createError(code, message) {
+    return { success: false, error: message, code };
+  }
+
+  /**
+   * Handle a message from another extension
+   * @param {*} message - Received message ({ action, ... })
+   * @param {Object} sender - Message sender
+   * @param {Function} sendResponse - Response callback
+   * @returns {boolean} True to keep the response channel open
+   */
+  handleExternalMessage(message, sender, sendResponse) {
+    this.handleRequest(message, sender)
+      .then(sendResponse)
+      .catch(error => {
+        console.error('Failed to handle external API request:', error);
+        sendResponse(this.createError('INTERNAL_ERROR', 'Request failed'));
+      });
+    return true;
+  }
+
+  /**
+   * Check and run an external API request
+   * @param {*} message - Received message
+   * @param {Object} sender - Message sender
+   * @returns {Promise<Object>} Response
+   */
+  async handleRequest(message, sender) {
+    await this.settings.loaded;
+    if (!this.isAllowed(sender.id)) {
+      console.warn(`External API request from ${sender.id} rejected, extension is not on the allowlist`);
+      return this.createError('UNAUTHORIZED', 'Extension is not on the allowlist');
+    }
+    if (!message || typeof message !== 'object' || !this.ACTIONS.includes(message.action)) {
+      return this.createError('UNKNOWN_ACTION', `Action must be one of ${this.ACTIONS.join(', ')}`);
+    }
+
+    await this.tabManager.ready;
+
+    switch (message.action) {
+      case 'listTabs':
+        return { success: true, tabs: await this.listTabs() };
+
+      case 'getVolume':
+        return this.getVolume(message.tabId);
+
+      case 'setVolume':
+        return this.setVolume(message.tabId, message.volume, sender.id);
+
+      case 'subscribe':
+        await this.setSubscribed(sender.id, true);
+        return { success: true };
+
+      case 'unsubscribe':
+        await this.setSubscribed(sender.id, false);
+        return { success: true };
+
+      default:
+        return this.createError('UNKNOWN_ACTION', `Unknown action: ${message.action}`);
+    }
+  }
+
+  /**
+   * List the audio tabs outside private windows
+   * @returns {Promise<Array<Object>>} Tabs ({ id, title, volume, effectiveVolume, audible })
+   */
+  async listTabs() {
+    const tabs = await this.tabManager.getAudioTabStatus();
+    return tabs
+      .filter(tab => !tab.incognito)
+      .map(tab => ({
+        id: tab.id,
+        title: tab.title,
+        volume: tab.volume,
+        effectiveVolume: this.tabManager.getEffectiveVolume(tab.id),
+        audible: tab.audible
+      }));
+  }
+
+  /**
+   * Look up a tab an external request is about
+   * @param {*} tabId - Requested tab ID
+   * @returns {Promise<Object>} { tab } or { error } with the response to send
+   */
+  async resolveTab(tabId) {
+    if (!this.messageValidator.isTabId(tabId)) {
+      return { error: this.createError('INVALID_PAYLOAD', 'Invalid tabId: must be a tab ID') };
+    }
+
+    try {
+      const tab = await browser.tabs.get(tabId);
+      // Private tabs are reported as missing so their existence is not revealed
+      if (!tab.incognito) {
+        return { tab };
+      }
+    } catch (error) {
+      // Tab does not exist
+    }
+    return { error: this.createError('TAB_NOT_FOUND', `No tab with ID ${tabId}`) };
+  }
+
+  /**
+   * Read the volume of a tab
+   * @param {*} tabId - Requested tab ID
+   * @returns {Promise<Object>} Response ({ success, tabId, volume, effectiveVolume })
+   */
+  async getVolume(tabId) {
+    const { error } = await this.resolveTab(tabId);
+    if (error) return error;
+
+    return {
+      success: true,
+      tabId,
+      volume: this.tabManager.getTabVolume(tabId),
+      effectiveVolume: this.tabManager.getEffectiveVolume(tabId)
+    };
+  }
+
+  /**
+   * Change the volume of a tab and record the change in the log
+   * @param {*} tabId - Requested tab ID
+   * @param {*} volume - Requested volume, clamped to the allowed range
+   * @param {string} extensionId - Extension making the change
+   * @returns {Promise<Object>} Response ({ success, tabId, volume })
+   */
+  async setVolume(tabId, volume, extensionId) {
+    const { tab, error } = await this.resolveTab(tabId);
+    if (error) return error;
+
+    const result = this.messageValidator.validateField(volume, { type: 'volume' });
+    if (!result.valid) {
+      return this.createError('INVALID_PAYLOAD', `Invalid volume: ${result.reason}`);
+    }
+
+    const previousVolume = this.tabManager.getTabVolume(tabId);
+    // Changes by other extensions are not remembered for the site
+    if (!this.tabManager.setTabVolume(tabId, result.value, { remember: false })) {
+      return this.createError('LOCKED', 'Tab volume is locked by a rule');
+    }
+    this.tabManager.notifyPopupUpdate();
+
+    await this.externalApiLog.add({
+      extensionId,
+      tabId,
+      title: tab.title,
+      hostname: this.tabManager.getHostname(tab.url),
+      previousVolume,
+      volume: result.value
+    });
+    console.log(`Extension ${extensionId} set tab ${tabId} volume to ${result.value}%`);
+
+    return { success: true, tabId, volume: result.value };
+  }
+
+  /**
+   * Send an event to every subscribed extension that is still allowed
+   * Extensions that no longer listen are dropped.
+   * @param {Object} event - Event message ({ event, ... })
+   */
+  async notifySubscribers(event) {
+    await this.loaded;
+    this.subscribers.forEach(extensionId => {
+      browser.runtime.sendMessage(extensionId, event).catch(() => {
+        this.setSubscribed(extensionId, false);
+      });
+    });
+  }
+
+  /**
+   * Forward volume changes of non-private tabs to subscribers
+   * @param {Object} change - Change ({ tabId, volume, previousVolume })
+   */
+  handleVolumeChanged({ tabId, volume, previousVolume }) {
+    if (this.tabManager.isPrivateTab(tabId)) return;
+    this.notifySubscribers({
+      event: 'volumeChanged',
+      tabId,
+      volume,
+      previousVolume,
+      effectiveVolume: this.tabManager.getEffectiveVolume(tabId)
+    });
+  }
+
+  /**
+   * Forward tabs starting or stopping playback to subscribers
+   * @param {Object} change - Change ({ tabId, audible })
+   */
+  handleAudibleChanged({ tabId, audible }) {
+    if (this.tabManager.isPrivateTab(tabId)) return;
+    this.notifySubscribers({ event: 'audibleChanged', tabId, audible });
+  }
+
+  /**
+   * Drop subscriptions of extensions removed from the allowlist
+   * @param {Array<string>} changedKeys - Keys of changed settings
+   */
+  handleSettingsChanged(changedKeys) {
+    if (!changedKeys.includes(this.SETTING_KEY)) return;
+    this.subscribers.forEach(extensionId => {
+      if (!this.isAllowed(extensionId)) {
+        this.setSubscribed(extensionId, false);
+      }
+    });
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExternalApi;
+} else {
+  // Browser environment
+  window.ExternalApi = ExternalApi;
+}
@@ -0,0 +1,78 @@
+/**
+ * Firefox Tab Volume Control - External API Log
+ * Records volume changes made by other extensions in browser.storage.local so the user
+ * can see who changed what on the options page
+ */
+
+class ExternalApiLog {
+  constructor() {
+    // State management
+    this.entries = []; // Newest first
+
+    // Constants
+    this.STORAGE_KEY = 'externalApiLog';
+    this.MAX_ENTRIES = 200;
+
+    // Resolves once the log has been read from storage
+    this.loaded = this.load();
+  }
+
+  /**
+   * Load the log from storage
+   */
+  async load() {
+    try {
+      const result = await browser.storage.local.get(this.STORAGE_KEY);
+      const stored = result[this.STORAGE_KEY];
+      this.entries = Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.error('Failed to load external API log:', error);
+    }
+  }
+
+  /**
+   * Persist the log to storage
+   */
+  async save() {
+    try {
+      await browser.storage.local.set({ [this.STORAGE_KEY]: this.entries });
+    } catch (error) {
+      console.error('Failed to save external API log:', error);
+    }
+  }
+
+  /**
+   * Record a volume change made by another extension
+   * @param {Object} change - Change ({ extensionId, tabId, title, hostname, previousVolume, volume })
+   */
+  async add(change) {
+    await this.loaded;
+    this.entries.unshift({ ...change, time: Date.now() });
+    this.entries.length = Math.min(this.entries.length, this.MAX_ENTRIES);
+    await this.save();
+  }
+
+  /**
+   * Get all recorded changes
+   * @returns {Array<Object>} Entries, newest first
+   */
+  getAll() {
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Forget all recorded changes
+   */
+  async clear() {
+    this.entries = [];
+    await this.save();
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExternalApiLog;
+} else {
+  // Browser environment
+  window.ExternalApiLog = ExternalApiLog;
+}
@@ -0,0 +1,178 @@
+/**
+ * Firefox Tab Volume Control - Focus Mode
+ * Keeps only the active tab audible by capping every other tab at a background level
+ */
+
+class FocusMode {
+  /**
+   * @param {TabManager} tabManager - Tab manager that applies the volume caps
+   * @param {TabStateStore} tabStateStore - Store for per-tab exemptions in the browser session
+   * @param {Settings} settings - User settings
+   */
+  constructor(tabManager, tabStateStore, settings) {
+    this.tabManager = tabManager;
+    this.tabStateStore = tabStateStore;
+    this.settings = settings;
+
+    // State management
+    this.exemptTabs = new Set(); // Tabs that are never lowered, e.g. music players
+
+    // Constants
+    this.CAP_SOURCE = 'focus';
+    this.EXEMPT_KEY = 'focusExempt';
+    this.SETTING_KEYS = ['focusMode', 'focusPerWindow', 'focusBackgroundVolume'];
+
+    // Bind methods to preserve context
+    this.update = this.update.bind(this);
+    this.handleWindowFocusChanged = this.handleWindowFocusChanged.bind(this);
+    this.handleTabRemoved = this.handleTabRemoved.bind(this);
+    this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+
+    // Set up event listeners
+    this.setupEventListeners();
+
+    // Apply once restored tab state and exemptions are known
+    this.ready = Promise.all([this.tabManager.ready, this.restoreExemptions()]).then(this.update);
+  }
+
+  /**
+   * Set up browser and tab manager event listeners
+   */
+  setupEventListeners() {
+    this.tabManager.addEventListener('tabActivated', this.update);
+    this.settings.addChangeListener(this.handleSettingsChanged);
+    browser.windows.onFocusChanged.addListener(this.handleWindowFocusChanged);
+    browser.tabs.onCreated.addListener(this.update);
+    browser.tabs.onAttached.addListener(this.update);
+    browser.tabs.onRemoved.addListener(this.handleTabRemoved);
+  }
+
+  /**
+   * Read exemptions saved in the session before this background page started
+   */
+  async restoreExemptions() {
+    try {
+      const tabs = await browser.tabs.query({});
+      await Promise.all(tabs.map(async tab => {
+        if (await this.tabStateStore.getTabValue(tab.id, this.EXEMPT_KEY)) {
+          this.exemptTabs.add(tab.id);
+        }
+      }));
+    } catch (error) {
+      console.error('Failed to restore focus mode exemptions:', error);
+    }
+  }
+
+  /**
+   * Check if focus mode is turned on
+   * @returns {boolean} True if focus mode is on
+   */
+  isEnabled() {
+    return this.settings.get('focusMode');
+  }
+
+  /**
+   * Check if a tab is exempt from focus mode
+   * @param {number} tabId - Tab ID
+   * @returns {boolean} True if the tab is never lowered
+   */
+  isExempt(tabId) {
+    return this.exemptTabs.has(tabId);
+  }
+
+  /**
+   * Exempt a tab from focus mode or remove its exemption
+   * @param {number} tabId - Tab ID
+   * @param {boolean} exempt - Whether the tab should be exempt
+   */
+  async setExempt(tabId, exempt) {
+    if (exempt) {
+      this.exemptTabs.add(tabId);
+    } else {
+      this.exemptTabs.delete(tabId);
+    }
+    // Private tabs keep their exemption in memory only
+    if (!this.tabManager.isPrivateTab(tabId)) {
+      this.tabStateStore.saveTabValue(tabId, this.EXEMPT_KEY, exempt ? true : undefined);
+    }
+    await this.update();
+  }
+
+  /**
+   * Get the tabs that stay audible: the active tab of every window, or only of the focused one
+   * @param {Array} tabs - All tabs
+   * @returns {Promise<Set<number>>} IDs of foreground tabs
+   */
+  async getForegroundTabIds(tabs) {
+    const activeTabs = tabs.filter(tab => tab.active);
+    if (this.settings.get('focusPerWindow')) {
+      return new Set(activeTabs.map(tab => tab.id));
+    }
+
+    const focusedWindow = await browser.windows.getLastFocused();
+    return new Set(activeTabs.filter(tab => tab.windowId === focusedWindow.id).map(tab => tab.id));
+  }
+
+  /**
+   * Cap every background tab and lift the cap from foreground and exempt tabs
+   */
+  async update() {
+    try {
+      const tabs = await browser.tabs.query({});
+      const enabled = this.isEnabled();
+      const foregroundTabIds = enabled ? await this.getForegroundTabIds(tabs) : new Set();
+      const backgroundVolume = this.settings.get('focusBackgroundVolume');
+      let changed = false;
+
+      tabs.forEach(tab => {
+        const audible = !enabled || foregroundTabIds.has(tab.id) || this.exemptTabs.has(tab.id);
+        const capChanged = audible
+          ? this.tabManager.clearVolumeCap(tab.id, this.CAP_SOURCE)
+          : this.tabManager.setVolumeCap(tab.id, this.CAP_SOURCE, backgroundVolume);
+        changed = changed || capChanged;
+      });
+
+      if (changed) {
+        this.tabManager.notifyPopupUpdate();
+      }
+    } catch (error) {
+      console.error('Failed to update focus mode:', error);
+    }
+  }
+
+  /**
+   * Re-evaluate when another window gets focus
+   * @param {number} windowId - ID of the focused window
+   */
+  handleWindowFocusChanged(windowId) {
+    // Focus moved outside the browser, keep the last focused window audible
+    if (windowId === browser.windows.WINDOW_ID_NONE) return;
+    this.update();
+  }
+
+  /**
+   * Forget the exemption of a closed tab
+   * @param {number} tabId - Tab ID
+   */
+  handleTabRemoved(tabId) {
+    this.exemptTabs.delete(tabId);
+  }
+
+  /**
+   * Handle settings changes
+   * @param {Array<string>} changedKeys - Keys of changed settings
+   */
+  handleSettingsChanged(changedKeys) {
+    if (changedKeys.some(key => this.SETTING_KEYS.includes(key))) {
+      this.update();
+    }
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FocusMode;
+} else {
+  // Browser environment
+  window.FocusMode = FocusMode;
+}
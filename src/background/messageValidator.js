@@ -0,0 +1,245 @@
+/**
+ * Firefox Tab Volume Control - Message Validator
+ * Checks runtime messages against a schema of known actions before the background acts on them.
+ * Only extension pages (popup, options) may address another tab or use the bulk and storage
+ * actions; content scripts are limited to their own tab.
+ */
+
+/**
+ * Message schema
+ * Each action lists its payload fields, whether it needs a tab and whether content scripts
+ * may send it. Fields that are not listed are dropped from the validated message.
+ */
+const MESSAGE_SCHEMA = {
+  setVolume: {
+    needsTab: true,
+    fields: { volume: { type: 'volume', required: true }, gestureId: { type: 'string', maxLength: 100 } }
+  },
+  getVolume: { needsTab: true, contentScripts: true },
+  toggleSolo: { needsTab: true },
+  applyToAllTabs: { fields: { volume: { type: 'volume', required: true } } },
+  resetAllTabs: {},
+  applyToTabs: { fields: { volume: { type: 'volume', required: true }, scope: { type: 'scope' } } },
+  resetTabs: { fields: { scope: { type: 'scope' } } },
+  undo: {},
+  redo: {},
+  getHistory: {},
+  getSiteVolumes: {},
+  forgetSiteVolume: {
+    fields: { hostname: { type: 'string', required: true, maxLength: 253 }, cookieStoreId: { type: 'string', maxLength: 100 } }
+  },
+  clearSiteVolumes: {},
+  getVolumeRules: {},
+  addVolumeRule: { fields: { rule: { type: 'object', required: true } } },
+  updateVolumeRule: {
+    fields: { ruleId: { type: 'string', required: true, maxLength: 100 }, changes: { type: 'object', required: true } }
+  },
+  removeVolumeRule: { fields: { ruleId: { type: 'string', required: true, maxLength: 100 } } },
+  testVolumeRules: { fields: { url: { type: 'string', required: true, maxLength: 2048 } } },
+  setEffects: { needsTab: true, fields: { effects: { type: 'object', required: true } } },
+  getEffects: { needsTab: true, contentScripts: true },
+  getEffectsStatus: { needsTab: true },
+  getMediaElements: { needsTab: true },
+  setElementVolume: {
+    needsTab: true,
+    fields: { elementId: { type: 'id', required: true }, volume: { type: 'volume', required: true } }
+  },
+  getExternalApiLog: {},
+  clearExternalApiLog: {}
+};
+
+class MessageValidator {
+  /**
+   * @param {TabManager} tabManager - Tab manager that defines the volume range
+   */
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+
+    // Constants
+    this.ERROR_CODES = {
+      INVALID_MESSAGE: 'INVALID_MESSAGE',
+      UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+      UNAUTHORIZED: 'UNAUTHORIZED',
+      INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+      MISSING_TAB: 'MISSING_TAB'
+    };
+    this.SCOPE_TYPES = ['all', 'window', 'site', 'tabs'];
+    this.MAX_SCOPE_TABS = 1000;
+    this.EXTENSION_URL = browser.runtime.getURL('');
+  }
+
+  /**
+   * Check if a message comes from one of the extension's own pages
+   * Content scripts always have a sender tab and run on the page's URL.
+   * @param {Object} sender - Message sender
+   * @returns {boolean} True for the popup, options page and other extension pages
+   */
+  isExtensionPage(sender) {
+    if (sender.id !== browser.runtime.id) return false;
+    return !sender.tab || (typeof sender.url === 'string' && sender.url.startsWith(this.EXTENSION_URL));
+  }
+
+  /**
+   * Create a structured error result
+   * The error text stays in `error` so existing callers can show it as before.
+   * @param {string} code - Error code from ERROR_CODES
+   * @param {string} message - Human-readable error
+   * @param {string} [field] - Payload field the error is about
+   * @returns {Object} Invalid result ({ valid: false, error })
+   */
+  createError(code, message, field) {
+    const error = { success: false, error: message, code };
+    if (field) {
+      error.field = field;
+    }
+    return { valid: false, error };
+  }
+
+  /**
+   * Check if a value is a valid tab ID
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a non-negative integer
+   */
+  isTabId(value) {
+    return Number.isInteger(value) && value >= 0;
+  }
+
+  /**
+   * Validate and sanitize a single payload field
+   * @param {*} value - Field value
+   * @param {Object} definition - Field definition from MESSAGE_SCHEMA
+   * @returns {Object} { valid: true, value } or { valid: false, reason }
+   */
+  validateField(value, definition) {
+    switch (definition.type) {
+      case 'volume':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return { valid: false, reason: 'must be a number' };
+        }
+        // Out-of-range volumes are clamped rather than rejected
+        return {
+          valid: true,
+          value: Math.min(this.tabManager.MAX_VOLUME, Math.max(this.tabManager.MIN_VOLUME, value))
+        };
+
+      case 'string':
+        if (typeof value !== 'string' || value.length === 0) {
+          return { valid: false, reason: 'must be a non-empty string' };
+        }
+        if (value.length > definition.maxLength) {
+          return { valid: false, reason: `must be at most ${definition.maxLength} characters` };
+        }
+        return { valid: true, value };
+
+      case 'id':
+        if (!this.isTabId(value)) {
+          return { valid: false, reason: 'must be a non-negative integer' };
+        }
+        return { valid: true, value };
+
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return { valid: false, reason: 'must be an object' };
+        }
+        return { valid: true, value };
+
+      case 'scope':
+        return this.validateScope(value);
+
+      default:
+        return { valid: false, reason: `has unknown type ${definition.type}` };
+    }
+  }
+
+  /**
+   * Validate the scope of a bulk action
+   * @param {*} scope - Scope ({ type, windowId, tabIds })
+   * @returns {Object} { valid: true, value } or { valid: false, reason }
+   */
+  validateScope(scope) {
+    if (!scope || typeof scope !== 'object' || !this.SCOPE_TYPES.includes(scope.type)) {
+      return { valid: false, reason: `type must be one of ${this.SCOPE_TYPES.join(', ')}` };
+    }
+    if (scope.windowId !== undefined && !this.isTabId(scope.windowId)) {
+      return { valid: false, reason: 'windowId must be a window ID' };
+    }
+    if (scope.tabIds !== undefined) {
+      if (!Array.isArray(scope.tabIds) || scope.tabIds.length > this.MAX_SCOPE_TABS ||
+          !scope.tabIds.every(tabId => this.isTabId(tabId))) {
+        return { valid: false, reason: 'tabIds must be a list of tab IDs' };
+      }
+    }
+
+    const value = { type: scope.type };
+    if (scope.windowId !== undefined) value.windowId = scope.windowId;
+    if (scope.tabIds !== undefined) value.tabIds = [...scope.tabIds];
+    return { valid: true, value };
+  }
+
+  /**
+   * Validate a runtime message and resolve the tab it is about
+   * @param {*} message - Received message
+   * @param {Object} sender - Message sender
+   * @returns {Object} { valid: true, message } with a sanitized copy including tabId,
+   *                   or { valid: false, error } with the response to send
+   */
+  validate(message, sender) {
+    if (!message || typeof message !== 'object' || typeof message.action !== 'string') {
+      return this.createError(this.ERROR_CODES.INVALID_MESSAGE, 'Message must be an object with an action');
+    }
+
+    const schema = MESSAGE_SCHEMA[message.action];
+    if (!schema) {
+      return this.createError(this.ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${message.action}`);
+    }
+
+    const fromExtensionPage = this.isExtensionPage(sender);
+    if (!fromExtensionPage && !schema.contentScripts) {
+      return this.createError(this.ERROR_CODES.UNAUTHORIZED, `Action ${message.action} is only available to extension pages`);
+    }
+
+    const sanitized = { action: message.action };
+    for (const [field, definition] of Object.entries(schema.fields || {})) {
+      if (message[field] === undefined) {
+        if (definition.required) {
+          return this.createError(this.ERROR_CODES.INVALID_PAYLOAD, `Missing ${field}`, field);
+        }
+        continue;
+      }
+
+      const result = this.validateField(message[field], definition);
+      if (!result.valid) {
+        return this.createError(this.ERROR_CODES.INVALID_PAYLOAD, `Invalid ${field}: ${result.reason}`, field);
+      }
+      sanitized[field] = result.value;
+    }
+
+    // Content scripts always act on their own tab, only extension pages pick one
+    let tabId = sender.tab?.id;
+    if (message.tabId !== undefined) {
+      if (!fromExtensionPage) {
+        return this.createError(this.ERROR_CODES.UNAUTHORIZED, 'Content scripts cannot address other tabs', 'tabId');
+      }
+      if (!this.isTabId(message.tabId)) {
+        return this.createError(this.ERROR_CODES.INVALID_PAYLOAD, 'Invalid tabId: must be a tab ID', 'tabId');
+      }
+      tabId = message.tabId;
+    }
+
+    if (schema.needsTab && tabId === undefined) {
+      return this.createError(this.ERROR_CODES.MISSING_TAB, 'No tab ID provided', 'tabId');
+    }
+    sanitized.tabId = tabId;
+
+    return { valid: true, message: sanitized };
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MessageValidator, MESSAGE_SCHEMA };
+} else {
+  // Browser environment
+  window.MessageValidator = MessageValidator;
+  window.MESSAGE_SCHEMA = MESSAGE_SCHEMA;
+}
@@ -0,0 +1,206 @@
+/**
+ * Firefox Tab Volume Control - Popup Ports
+ * Keeps open popups up to date over long-lived ports: each popup gets one snapshot of the
+ * audio tabs when it connects and then only the changes since the last update
+ */
+
+class PopupPorts {
+  /**
+   * @param {TabManager} tabManager - Tab manager that provides the tab status
+   * @param {MessageValidator} messageValidator - Validator used to check the connecting page
+   * @param {QuietHours} quietHours - Quiet hours shown in the popup notice
+   * @param {VolumeHistory} volumeHistory - Undo history shown on the undo and redo buttons
+   * @param {AudioEffects} audioEffects - Per-tab audio effects shown on the tab cards
+   */
+  constructor(tabManager, messageValidator, quietHours, volumeHistory, audioEffects) {
+    this.tabManager = tabManager;
+    this.messageValidator = messageValidator;
+    this.quietHours = quietHours;
+    this.volumeHistory = volumeHistory;
+    this.audioEffects = audioEffects;
+
+    // State management
+    this.ports = new Map(); // Port -> { tabs: Map of tab ID to last sent status, status: last sent JSON }
+    this.updateTimeoutId = null;
+
+    // Constants
+    this.PORT_NAME = 'popup';
+    this.UPDATE_DELAY = 50; // Coalesces bursts such as a slider drag into one update
+    this.INFO_FIELDS = ['title', 'favIconUrl'];
+    this.TAB_FIELDS = ['rule', 'soloed', 'container', 'incognito']; // Changes that rebuild the tab card
+
+    // Bind methods to preserve context
+    this.handleConnect = this.handleConnect.bind(this);
+    this.handleTabUpdated = this.handleTabUpdated.bind(this);
+    this.scheduleUpdate = this.scheduleUpdate.bind(this);
+
+    // Set up event listeners
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up browser and tab manager event listeners
+   */
+  setupEventListeners() {
+    browser.runtime.onConnect.addListener(this.handleConnect);
+    browser.tabs.onUpdated.addListener(this.handleTabUpdated);
+    browser.tabs.onRemoved.addListener(this.scheduleUpdate);
+    this.tabManager.addEventListener('volumeChanged', this.scheduleUpdate);
+    this.tabManager.addEventListener('audibleChanged', this.scheduleUpdate);
+    this.tabManager.addEventListener('statusChanged', this.scheduleUpdate);
+  }
+
+  /**
+   * Accept a connection from the popup and send it the first snapshot
+   * @param {Object} port - Connecting port
+   */
+  async handleConnect(port) {
+    if (port.name !== this.PORT_NAME) return;
+    if (!this.messageValidator.isExtensionPage(port.sender)) {
+      console.warn('Rejected popup port from outside the extension');
+      port.disconnect();
+      return;
+    }
+
+    this.ports.set(port, { tabs: new Map(), status: null });
+    port.onDisconnect.addListener(() => this.ports.delete(port));
+    port.onMessage.addListener((message) => {
+      if (message?.action === 'refresh') {
+        this.sendSnapshot(port);
+      }
+    });
+
+    await this.sendSnapshot(port);
+  }
+
+  /**
+   * Get everything the popup shows
+   * @returns {Promise<Object>} Status ({ tabs, quietHours, history })
+   */
+  async getStatus() {
+    await Promise.all([this.tabManager.ready, this.audioEffects.ready]);
+    const tabs = await this.tabManager.getAudioTabStatus();
+    return {
+      tabs: tabs.map(tab => ({ ...tab, effects: this.audioEffects.getEffects(tab.id) })),
+      quietHours: this.quietHours.getStatus(),
+      history: this.volumeHistory.getState()
+    };
+  }
+
+  /**
+   * Send the full tab list to a port and remember it as the base for later changes
+   * @param {Object} port - Popup port
+   */
+  async sendSnapshot(port) {
+    try {
+      const { tabs, quietHours, history } = await this.getStatus();
+      if (!this.ports.has(port)) return;
+
+      this.ports.set(port, {
+        tabs: new Map(tabs.map(tab => [tab.id, tab])),
+        status: JSON.stringify({ quietHours, history })
+      });
+      port.postMessage({ type: 'snapshot', tabs, quietHours, history });
+    } catch (error) {
+      console.error('Failed to send popup snapshot:', error);
+    }
+  }
+
+  /**
+   * Send an update soon, once the current burst of changes is over
+   */
+  scheduleUpdate() {
+    if (this.ports.size === 0) return;
+
+    clearTimeout(this.updateTimeoutId);
+    this.updateTimeoutId = setTimeout(() => this.sendUpdates(), this.UPDATE_DELAY);
+  }
+
+  /**
+   * Send each port the changes since its last update
+   */
+  async sendUpdates() {
+    try {
+      const { tabs, quietHours, history } = await this.getStatus();
+      const status = JSON.stringify({ quietHours, history });
+
+      this.ports.forEach((portState, port) => {
+        const changes = this.diffTabs(portState.tabs, tabs);
+        if (status !== portState.status) {
+          changes.push({ type: 'statusChanged', quietHours, history });
+        }
+        if (changes.length === 0) return;
+
+        this.ports.set(port, { tabs: new Map(tabs.map(tab => [tab.id, tab])), status });
+        port.postMessage({ type: 'changes', changes });
+      });
+    } catch (error) {
+      console.error('Failed to send popup updates:', error);
+    }
+  }
+
+  /**
+   * Compare the tabs last sent to a popup with the current ones
+   * @param {Map<number, Object>} previousTabs - Tabs last sent, by ID
+   * @param {Array<Object>} tabs - Current tabs
+   * @returns {Array<Object>} Changes ({ type: 'tabAdded' | 'tabRemoved' | 'tabUpdated' | 'volumeChanged' | 'audibleChanged' | 'infoChanged' | 'effectsChanged', ... })
+   */
+  diffTabs(previousTabs, tabs) {
+    const changes = [];
+    const currentIds = new Set(tabs.map(tab => tab.id));
+
+    previousTabs.forEach((tab, tabId) => {
+      if (!currentIds.has(tabId)) {
+        changes.push({ type: 'tabRemoved', tabId });
+      }
+    });
+
+    tabs.forEach(tab => {
+      const previous = previousTabs.get(tab.id);
+      if (!previous) {
+        changes.push({ type: 'tabAdded', tab });
+        return;
+      }
+
+      const changed = field => JSON.stringify(previous[field]) !== JSON.stringify(tab[field]);
+      if (this.TAB_FIELDS.some(changed)) {
+        // The card is rebuilt, so no smaller changes are needed
+        changes.push({ type: 'tabUpdated', tab });
+        return;
+      }
+      if (changed('volume') || changed('caps')) {
+        changes.push({ type: 'volumeChanged', tabId: tab.id, volume: tab.volume, caps: tab.caps });
+      }
+      if (changed('audible')) {
+        changes.push({ type: 'audibleChanged', tabId: tab.id, audible: tab.audible });
+      }
+      if (this.INFO_FIELDS.some(changed)) {
+        changes.push({ type: 'infoChanged', tabId: tab.id, title: tab.title, favIconUrl: tab.favIconUrl });
+      }
+      if (changed('effects')) {
+        changes.push({ type: 'effectsChanged', tabId: tab.id, effects: tab.effects });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Update popups when a tab's title or favicon changes
+   * @param {number} tabId - Tab ID
+   * @param {Object} changeInfo - Changed tab properties
+   */
+  handleTabUpdated(tabId, changeInfo) {
+    if (this.INFO_FIELDS.some(field => changeInfo[field] !== undefined)) {
+      this.scheduleUpdate();
+    }
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PopupPorts;
+} else {
+  // Browser environment
+  window.PopupPorts = PopupPorts;
+}
@@ -0,0 +1,188 @@
+/**
+ * Firefox Tab Volume Control - Quiet Hours
+ * Caps the volume of every tab during a weekly schedule, using alarms to
+ * switch the cap on and off at the start and end of each time range
+ */
+
+class QuietHours {
+  /**
+   * @param {TabManager} tabManager - Tab manager that applies the volume cap
+   * @param {Settings} settings - User settings
+   */
+  constructor(tabManager, settings) {
+    this.tabManager = tabManager;
+    this.settings = settings;
+
+    // State management
+    this.activeUntil = null; // Time the current quiet period ends, if one is active
+
+    // Constants
+    this.CAP_SOURCE = 'quietHours';
+    this.ALARM_NAME = 'quiet-hours';
+    this.MINUTES_PER_DAY = 24 * 60;
+    this.SETTING_KEYS = ['quietHoursEnabled', 'quietHoursVolume', 'quietHoursSchedule'];
+
+    // Bind methods to preserve context
+    this.handleAlarm = this.handleAlarm.bind(this);
+    this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
+
+    // Set up event listeners
+    this.setupEventListeners();
+
+    // Apply the schedule once settings are known
+    this.settings.loaded.then(() => this.update());
+  }
+
+  /**
+   * Set up browser event listeners
+   */
+  setupEventListeners() {
+    browser.alarms.onAlarm.addListener(this.handleAlarm);
+    this.settings.addChangeListener(this.handleSettingsChanged);
+  }
+
+  /**
+   * Convert an 'HH:MM' time to minutes since midnight
+   * @param {string} time - Time string
+   * @returns {number} Minutes since midnight
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check if a time range covers a moment
+   * @param {Object} range - Time range ({ days, start, end })
+   * @param {Date} date - Moment to check
+   * @returns {boolean} True if the moment is inside the range
+   */
+  rangeContains(range, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    const start = QuietHours.toMinutes(range.start);
+    const end = QuietHours.toMinutes(range.end);
+
+    if (start < end) {
+      return range.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight range, the part after midnight belongs to the previous day
+    const previousDay = (day + 6) % 7;
+    return (range.days.includes(day) && minutes >= start) ||
+           (range.days.includes(previousDay) && minutes < end);
+  }
+
+  /**
+   * Check if quiet hours are active at a moment
+   * @param {Date} date - Moment to check
+   * @returns {boolean} True if the cap should apply
+   */
+  isActiveAt(date) {
+    if (!this.settings.get('quietHoursEnabled')) return false;
+    return this.settings.get('quietHoursSchedule').some(range => this.rangeContains(range, date));
+  }
+
+  /**
+   * Find the next moment quiet hours switch on or off
+   * @param {Date} date - Moment to start from
+   * @returns {Date|null} Next change or null if the state never changes
+   */
+  getNextChange(date) {
+    if (!this.settings.get('quietHoursEnabled')) return null;
+
+    const activeNow = this.isActiveAt(date);
+    const boundaries = [];
+
+    // Collect every range start and end in the coming week, starting yesterday
+    // so overnight ranges that began before midnight are included
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+
+      this.settings.get('quietHoursSchedule').forEach(range => {
+        if (!range.days.includes(day.getDay())) return;
+
+        const start = QuietHours.toMinutes(range.start);
+        const duration = (QuietHours.toMinutes(range.end) - start + this.MINUTES_PER_DAY) % this.MINUTES_PER_DAY;
+        const startDate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start);
+        const endDate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start + duration);
+        boundaries.push(startDate, endDate);
+      });
+    }
+
+    // Adjacent ranges share boundaries, skip the ones that do not change the state
+    return boundaries
+      .filter(boundary => boundary > date)
+      .sort((a, b) => a - b)
+      .find(boundary => this.isActiveAt(boundary) !== activeNow) || null;
+  }
+
+  /**
+   * Apply or lift the cap and schedule the next change
+   */
+  async update() {
+    const now = new Date();
+    const active = this.isActiveAt(now);
+    const nextChange = this.getNextChange(now);
+    this.activeUntil = active ? nextChange : null;
+
+    try {
+      const changed = active
+        ? await this.tabManager.setGlobalVolumeCap(this.CAP_SOURCE, this.settings.get('quietHoursVolume'))
+        : await this.tabManager.clearGlobalVolumeCap(this.CAP_SOURCE);
+
+      if (changed) {
+        console.log(`Quiet hours ${active ? 'started' : 'ended'}`);
+        this.tabManager.notifyPopupUpdate();
+      }
+
+      await browser.alarms.clear(this.ALARM_NAME);
+      if (nextChange) {
+        browser.alarms.create(this.ALARM_NAME, { when: nextChange.getTime() });
+      }
+    } catch (error) {
+      console.error('Failed to update quiet hours:', error);
+    }
+  }
+
+  /**
+   * Get the quiet hours state for the popup
+   * @returns {Object} Status ({ active, volume, endsAt })
+   */
+  getStatus() {
+    const active = this.tabManager.globalVolumeCaps.has(this.CAP_SOURCE);
+    return {
+      active,
+      volume: active ? this.tabManager.globalVolumeCaps.get(this.CAP_SOURCE) : null,
+      endsAt: active && this.activeUntil ? this.activeUntil.getTime() : null
+    };
+  }
+
+  /**
+   * Handle the alarm set for the next start or end of quiet hours
+   * @param {Object} alarm - Fired alarm
+   */
+  handleAlarm(alarm) {
+    if (alarm.name === this.ALARM_NAME) {
+      this.update();
+    }
+  }
+
+  /**
+   * Handle settings changes
+   * @param {Array<string>} changedKeys - Keys of changed settings
+   */
+  handleSettingsChanged(changedKeys) {
+    if (changedKeys.some(key => this.SETTING_KEYS.includes(key))) {
+      this.update();
+    }
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuietHours;
+} else {
+  // Browser environment
+  window.QuietHours = QuietHours;
+}
@@ -0,0 +1,235 @@
+/**
+ * Firefox Tab Volume Control - Site Volume Store
+ * Remembers volume levels and playback speeds per hostname, optionally per container, in browser.storage.local.
+ * Each entry holds a volume, a speed or both.
+ */
+
+class SiteVolumeStore {
+  constructor() {
+    // State management
+    this.siteVolumes = new Map();
+    this.saveTimeoutId = null;
+
+    // Constants
+    this.STORAGE_KEY = 'siteVolumes';
+    this.DEFAULT_CONTAINER = 'firefox-default';
+    this.CONTAINER_SEPARATOR = '/'; // Never part of a hostname
+    this.SAVE_DELAY = 500; // Coalesces bursts such as a slider drag into one write
+
+    // Resolves once remembered volumes have been read from storage
+    this.loaded = this.load();
+  }
+
+  /**
+   * Load remembered site volumes from storage
+   */
+  async load() {
+    try {
+      const result = await browser.storage.local.get(this.STORAGE_KEY);
+      const stored = result[this.STORAGE_KEY] || {};
+
+      Object.entries(stored).forEach(([hostname, entry]) => {
+        if (entry && (typeof entry.volume === 'number' || typeof entry.speed === 'number')) {
+          this.siteVolumes.set(hostname, entry);
+        }
+      });
+    } catch (error) {
+      console.error('Failed to load remembered site volumes:', error);
+    }
+  }
+
+  /**
+   * Persist remembered site volumes to storage
+   */
+  async save() {
+    clearTimeout(this.saveTimeoutId);
+    this.saveTimeoutId = null;
+
+    try {
+      await browser.storage.local.set({
+        [this.STORAGE_KEY]: Object.fromEntries(this.siteVolumes)
+      });
+    } catch (error) {
+      console.error('Failed to save remembered site volumes:', error);
+    }
+  }
+
+  /**
+   * Persist remembered site volumes soon, once the current burst of changes is over
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimeoutId);
+    this.saveTimeoutId = setTimeout(() => this.save(), this.SAVE_DELAY);
+  }
+
+  /**
+   * Check if a hostname can be remembered (skips about:, file: and similar pages)
+   * @param {string} hostname - Hostname to check
+   * @returns {boolean} True if the hostname can be remembered
+   */
+  isRememberable(hostname) {
+    return typeof hostname === 'string' && hostname !== '' && hostname !== 'unknown';
+  }
+
+  /**
+   * Get the storage key for a hostname in a container
+   * Volumes for the default container are stored under the plain hostname.
+   * @param {string} hostname - Hostname
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   * @returns {string} Storage key
+   */
+  getKey(hostname, cookieStoreId) {
+    if (!cookieStoreId || cookieStoreId === this.DEFAULT_CONTAINER) {
+      return hostname;
+    }
+    return `${cookieStoreId}${this.CONTAINER_SEPARATOR}${hostname}`;
+  }
+
+  /**
+   * Split a storage key into hostname and container
+   * @param {string} key - Storage key
+   * @returns {Object} { hostname, cookieStoreId }
+   */
+  parseKey(key) {
+    const separatorIndex = key.lastIndexOf(this.CONTAINER_SEPARATOR);
+    if (separatorIndex === -1) {
+      return { hostname: key, cookieStoreId: this.DEFAULT_CONTAINER };
+    }
+    return { hostname: key.slice(separatorIndex + 1), cookieStoreId: key.slice(0, separatorIndex) };
+  }
+
+  /**
+   * Get the remembered volume for a hostname
+   * @param {string} hostname - Hostname
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   * @returns {number|undefined} Remembered volume or undefined if none
+   */
+  getVolume(hostname, cookieStoreId) {
+    return this.siteVolumes.get(this.getKey(hostname, cookieStoreId))?.volume;
+  }
+
+  /**
+   * Get the remembered playback speed for a hostname
+   * @param {string} hostname - Hostname
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   * @returns {number|undefined} Remembered speed or undefined if none
+   */
+  getSpeed(hostname, cookieStoreId) {
+    return this.siteVolumes.get(this.getKey(hostname, cookieStoreId))?.speed;
+  }
+
+  /**
+   * Remember one value of a hostname's entry, keeping the others
+   * @param {string} hostname - Hostname
+   * @param {string} field - Entry field ('volume' or 'speed')
+   * @param {number} value - Value to remember
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   */
+  async setValue(hostname, field, value, cookieStoreId) {
+    if (!this.isRememberable(hostname)) return;
+
+    const key = this.getKey(hostname, cookieStoreId);
+    const entry = this.siteVolumes.get(key);
+    if (entry?.[field] === value) return;
+
+    this.siteVolumes.set(key, { ...entry, [field]: value, updatedAt: Date.now() });
+    this.scheduleSave();
+  }
+
+  /**
+   * Forget one value of a hostname's entry, and the entry once it holds nothing else
+   * @param {string} hostname - Hostname
+   * @param {string} field - Entry field ('volume' or 'speed')
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   */
+  async removeValue(hostname, field, cookieStoreId) {
+    const key = this.getKey(hostname, cookieStoreId);
+    const entry = this.siteVolumes.get(key);
+    if (!entry || !(field in entry)) return;
+
+    const rest = { ...entry };
+    delete rest[field];
+    if (typeof rest.volume === 'number' || typeof rest.speed === 'number') {
+      this.siteVolumes.set(key, rest);
+    } else {
+      this.siteVolumes.delete(key);
+    }
+    this.scheduleSave();
+  }
+
+  /**
+   * Remember a volume for a hostname
+   * @param {string} hostname - Hostname
+   * @param {number} volume - Volume level
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   */
+  async setVolume(hostname, volume, cookieStoreId) {
+    await this.setValue(hostname, 'volume', volume, cookieStoreId);
+  }
+
+  /**
+   * Forget the remembered volume for a hostname, keeping its speed
+   * @param {string} hostname - Hostname
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   */
+  async removeVolume(hostname, cookieStoreId) {
+    await this.removeValue(hostname, 'volume', cookieStoreId);
+  }
+
+  /**
+   * Remember a playback speed for a hostname
+   * @param {string} hostname - Hostname
+   * @param {number} speed - Playback rate, 1 is normal speed
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   */
+  async setSpeed(hostname, speed, cookieStoreId) {
+    await this.setValue(hostname, 'speed', speed, cookieStoreId);
+  }
+
+  /**
+   * Forget the remembered playback speed for a hostname, keeping its volume
+   * @param {string} hostname - Hostname
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   */
+  async removeSpeed(hostname, cookieStoreId) {
+    await this.removeValue(hostname, 'speed', cookieStoreId);
+  }
+
+  /**
+   * Forget everything remembered for a hostname
+   * @param {string} hostname - Hostname
+   * @param {string} [cookieStoreId] - Container, omit for the default container
+   * @returns {Promise<boolean>} True if a remembered entry was removed
+   */
+  async remove(hostname, cookieStoreId) {
+    if (!this.siteVolumes.delete(this.getKey(hostname, cookieStoreId))) return false;
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Forget all remembered site volumes and speeds
+   */
+  async clear() {
+    this.siteVolumes.clear();
+    await this.save();
+  }
+
+  /**
+   * Get all remembered site volumes for the popup
+   * @returns {Array} Array of { hostname, cookieStoreId, volume, speed, updatedAt } sorted by hostname, volume or speed may be missing
+   */
+  getAll() {
+    return Array.from(this.siteVolumes.entries())
+      .map(([key, entry]) => ({ ...this.parseKey(key), ...entry }))
+      .sort((a, b) => a.hostname.localeCompare(b.hostname) || a.cookieStoreId.localeCompare(b.cookieStoreId));
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteVolumeStore;
+} else {
+  // Browser environment
+  window.SiteVolumeStore = SiteVolumeStore;
+}
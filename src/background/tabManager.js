@@ -4,26 +4,55 @@
  */
 
 class TabManager {
-  constructor() {
+  /**
+   * @param {SiteVolumeStore} siteVolumeStore - Store for remembered per-site volumes
+   * @param {TabStateStore} tabStateStore - Store for per-tab state in the browser session
+   * @param {VolumeRules} volumeRules - User-defined URL pattern volume rules
+   * @param {Settings} settings - User settings
+   */
+  constructor(siteVolumeStore, tabStateStore, volumeRules, settings) {
+    this.siteVolumeStore = siteVolumeStore;
+    this.tabStateStore = tabStateStore;
+    this.volumeRules = volumeRules;
+    this.settings = settings;
+    
     // State management
     this.tabVolumes = new Map();
     this.audioTabs = new Set();
     this.tabHostnames = new Map();
+    this.tabRules = new Map(); // Tab ID -> ID of the volume rule applied to it
+    this.tabContainers = new Map(); // Tab ID -> cookieStoreId of its container
+    this.privateTabs = new Set(); // Tabs in private windows, their state is never stored
+    this.privateSiteVolumes = new Map(); // Hostname -> volume remembered for private tabs until the last private window closes
     this.tabRemovalTimeouts = new Map();
+    this.mutedVolumes = new Map(); // Tab ID -> volume before it was muted
+    this.volumeCaps = new Map(); // Tab ID -> Map of cap source -> highest volume it may play at
+    this.globalVolumeCaps = new Map(); // Cap source -> highest volume every tab may play at
+    this.soloTabId = null; // Tab playing alone while every other audio tab is muted
+    this.listeners = new Map(); // Event listeners for volume changes
     
     // Constants
-    this.DEFAULT_VOLUME = 100;
-    this.REMOVAL_DELAY = 3000; // 3 seconds delay before removing tabs that stop being audible
+    this.MIN_VOLUME = 0;
+    this.MAX_VOLUME = 500;
+    this.SOLO_CAP = 'solo';
+    this.SOLO_KEY = 'solo'; // Session value: 'soloed' for the soloed tab, 'muted' for the tabs it mutes
+    this.DEFAULT_CONTAINER = 'firefox-default';
     
     // Bind methods to preserve context
     this.handleTabUpdated = this.handleTabUpdated.bind(this);
     this.handleTabRemoved = this.handleTabRemoved.bind(this);
     this.handleTabActivated = this.handleTabActivated.bind(this);
+    this.handleTabCreated = this.handleTabCreated.bind(this);
+    this.handleWindowRemoved = this.handleWindowRemoved.bind(this);
+    this.handleSettingsChanged = this.handleSettingsChanged.bind(this);
     this.cleanupAudioTabs = this.cleanupAudioTabs.bind(this);
     
     // Set up event listeners
     this.setupEventListeners();
     
+    // Rebuild state saved in the session before this background page started
+    this.ready = this.restoreState();
+    
     // Start cleanup interval
     setInterval(this.cleanupAudioTabs, 60000); // Cleanup every 60 seconds
   }
@@ -35,6 +64,240 @@ class TabManager {
     browser.tabs.onUpdated.addListener(this.handleTabUpdated);
     browser.tabs.onRemoved.addListener(this.handleTabRemoved);
     browser.tabs.onActivated.addListener(this.handleTabActivated);
+    browser.tabs.onCreated.addListener(this.handleTabCreated);
+    browser.windows.onRemoved.addListener(this.handleWindowRemoved);
+    this.settings.addChangeListener(this.handleSettingsChanged);
+  }
+  
+  /**
+   * Add event listener for tab manager events
+   * @param {string} event - Event name ('volumeChanged', 'tabActivated', 'audibleChanged', 'statusChanged', 'siteChanged', 'capsChanged')
+   * @param {Function} callback - Callback function
+   */
+  addEventListener(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+  
+  /**
+   * Remove an event listener added with addEventListener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  removeEventListener(event, callback) {
+    if (this.listeners.has(event)) {
+      this.listeners.set(event, this.listeners.get(event).filter(listener => listener !== callback));
+    }
+  }
+  
+  /**
+   * Emit event to all listeners
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  _emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in tab manager event listener for ${event}:`, error);
+        }
+      });
+    }
+  }
+  
+  /**
+   * Handle settings changes
+   * @param {Array<string>} changedKeys - Keys of changed settings
+   */
+  async handleSettingsChanged(changedKeys) {
+    const defaultKeys = ['defaultVolume', 'containerDefaultVolumes', 'privateDefaultVolumeEnabled', 'privateDefaultVolume'];
+    if (!changedKeys.some(key => defaultKeys.includes(key))) return;
+    
+    // Tabs without their own volume follow the default, push the new value to them
+    try {
+      const tabs = await browser.tabs.query({});
+      tabs
+        .filter(tab => !this.tabVolumes.has(tab.id))
+        .forEach(tab => {
+          const volume = this.getEffectiveVolume(tab.id);
+          browser.tabs.sendMessage(tab.id, { action: 'setVolume', volume }).catch(() => {});
+        });
+      this.notifyPopupUpdate();
+    } catch (error) {
+      console.error('Failed to apply new default volume:', error);
+    }
+  }
+  
+  /**
+   * Get the default volume, which can be set per container
+   * @param {number} [tabId] - Tab ID, omit for the global default
+   * @returns {number} Default volume level
+   */
+  getDefaultVolume(tabId) {
+    if (this.isPrivateTab(tabId) && this.settings.get('privateDefaultVolumeEnabled')) {
+      return this.settings.get('privateDefaultVolume');
+    }
+    
+    const containerDefaults = this.settings.get('containerDefaultVolumes');
+    return containerDefaults[this.getTabContainer(tabId)] ?? this.settings.get('defaultVolume');
+  }
+  
+  /**
+   * Get the container a tab belongs to
+   * @param {number} [tabId] - Tab ID
+   * @returns {string} cookieStoreId of the tab, the default container if unknown
+   */
+  getTabContainer(tabId) {
+    return this.tabContainers.get(tabId) ?? this.DEFAULT_CONTAINER;
+  }
+  
+  /**
+   * Check if a tab is in a private window
+   * @param {number} [tabId] - Tab ID
+   * @returns {boolean} True for private tabs
+   */
+  isPrivateTab(tabId) {
+    return this.privateTabs.has(tabId);
+  }
+  
+  /**
+   * Track the container and private browsing state of a tab
+   * @param {Object} tab - Tab
+   */
+  trackTab(tab) {
+    if (tab.cookieStoreId) {
+      this.tabContainers.set(tab.id, tab.cookieStoreId);
+    }
+    if (tab.incognito) {
+      this.privateTabs.add(tab.id);
+    }
+  }
+  
+  /**
+   * Get the container a site volume is remembered for
+   * @param {number} tabId - Tab ID
+   * @returns {string|undefined} cookieStoreId, or undefined when sites are remembered across containers
+   */
+  getSiteVolumeContainer(tabId) {
+    return this.settings.get('rememberSiteVolumesPerContainer') ? this.getTabContainer(tabId) : undefined;
+  }
+  
+  /**
+   * Get the name and colour of every container
+   * @returns {Promise<Map>} Map of cookieStoreId to { name, color, colorCode }
+   */
+  async getContainers() {
+    try {
+      const identities = await browser.contextualIdentities.query({});
+      return new Map(identities.map(identity => [identity.cookieStoreId, {
+        name: identity.name,
+        color: identity.color,
+        colorCode: identity.colorCode
+      }]));
+    } catch (error) {
+      // Containers are turned off in Firefox
+      return new Map();
+    }
+  }
+  
+  /**
+   * Rebuild tab state from the session and push restored volumes to content scripts
+   */
+  async restoreState() {
+    await this.settings.loaded;
+    
+    try {
+      const tabs = await browser.tabs.query({});
+      tabs.forEach(tab => this.trackTab(tab));
+    } catch (error) {
+      console.error('Failed to read open tabs:', error);
+    }
+    
+    const states = await this.tabStateStore.getAllTabStates();
+    
+    states.forEach((state, tabId) => {
+      this.applyRestoredState(tabId, state);
+    });
+    
+    await this.restoreSolo();
+    
+    if (states.size > 0 || this.soloTabId !== null) {
+      console.log(`Restored state for ${states.size} tabs from session`);
+      this.notifyPopupUpdate();
+    }
+  }
+  
+  /**
+   * Rebuild a solo saved in the session, or give the muted tabs their sound back if the
+   * soloed tab was closed while the background page was unloaded
+   */
+  async restoreSolo() {
+    try {
+      const tabs = await browser.tabs.query({});
+      const roles = await Promise.all(tabs.map(tab => this.tabStateStore.getTabValue(tab.id, this.SOLO_KEY)));
+      const soloedTab = tabs.find((tab, index) => roles[index] === 'soloed');
+      if (soloedTab) {
+        this.soloTabId = soloedTab.id;
+      }
+      
+      tabs.filter((tab, index) => roles[index] === 'muted').forEach(tab => {
+        if (soloedTab) {
+          this.setVolumeCap(tab.id, this.SOLO_CAP, 0);
+        } else {
+          this.saveSoloRole(tab.id, undefined);
+          browser.tabs.sendMessage(tab.id, { action: 'setVolume', volume: this.getEffectiveVolume(tab.id) }).catch(() => {});
+        }
+      });
+    } catch (error) {
+      console.error('Failed to restore solo:', error);
+    }
+  }
+  
+  /**
+   * Apply a restored state to a tab
+   * @param {number} tabId - Tab ID
+   * @param {Object} state - Saved tab state
+   */
+  applyRestoredState(tabId, state) {
+    if (state.hostname && !this.tabHostnames.has(tabId)) {
+      this.tabHostnames.set(tabId, state.hostname);
+    }
+    
+    if (state.audio || state.audible) {
+      this.audioTabs.add(tabId);
+    }
+    
+    if (state.ruleId && !this.tabRules.has(tabId)) {
+      this.tabRules.set(tabId, state.ruleId);
+    }
+    
+    if (typeof state.volume === 'number' && !this.tabVolumes.has(tabId)) {
+      this.tabVolumes.set(tabId, state.volume);
+      
+      // Content script may still be loading, it also asks for its volume on startup
+      const volume = this.getEffectiveVolume(tabId);
+      browser.tabs.sendMessage(tabId, { action: 'setVolume', volume }).catch(() => {});
+    }
+  }
+  
+  /**
+   * Save the current state of a tab to the session
+   * @param {number} tabId - Tab ID
+   */
+  persistTabState(tabId) {
+    // Private tabs keep their state in memory only
+    if (this.isPrivateTab(tabId)) return;
+    
+    this.tabStateStore.saveTabState(tabId, {
+      volume: this.tabVolumes.get(tabId),
+      hostname: this.tabHostnames.get(tabId),
+      audio: this.audioTabs.has(tabId),
+      ruleId: this.tabRules.get(tabId)
+    });
   }
   
   /**
@@ -44,21 +307,260 @@ class TabManager {
    */
   getTabVolume(tabId) {
     if (tabId === undefined || tabId === null) {
-      return this.DEFAULT_VOLUME;
+      return this.getDefaultVolume();
+    }
+    // A muted tab has a stored volume of 0, so only fall back when nothing is stored
+    return this.tabVolumes.get(tabId) ?? this.getDefaultVolume(tabId);
+  }
+  
+  /**
+   * Get the volume a tab actually plays at, its own volume limited by any active caps
+   * @param {number} tabId - Tab ID
+   * @returns {number} Effective volume level
+   */
+  getEffectiveVolume(tabId) {
+    const caps = this.getVolumeCaps(tabId).map(cap => cap.volume);
+    return Math.min(this.getTabVolume(tabId), ...caps);
+  }
+  
+  /**
+   * Get the caps currently limiting a tab
+   * @param {number} tabId - Tab ID
+   * @returns {Array<Object>} Caps as { source, volume }
+   */
+  getVolumeCaps(tabId) {
+    const tabCaps = this.volumeCaps.get(tabId) || [];
+    return [...tabCaps, ...this.globalVolumeCaps].map(([source, volume]) => ({ source, volume }));
+  }
+  
+  /**
+   * Limit the volume a tab plays at without changing the tab's own volume
+   * @param {number} tabId - Tab ID
+   * @param {string} source - Feature setting the cap (e.g. 'focus')
+   * @param {number} maxVolume - Highest volume the tab may play at
+   * @returns {boolean} True if the cap changed
+   */
+  setVolumeCap(tabId, source, maxVolume) {
+    if (!this.volumeCaps.has(tabId)) {
+      this.volumeCaps.set(tabId, new Map());
+    }
+    const caps = this.volumeCaps.get(tabId);
+    if (caps.get(source) === maxVolume) return false;
+    
+    const previousVolume = this.getEffectiveVolume(tabId);
+    caps.set(source, maxVolume);
+    this.sendEffectiveVolume(tabId, previousVolume);
+    return true;
+  }
+  
+  /**
+   * Remove a cap from a tab
+   * @param {number} tabId - Tab ID
+   * @param {string} source - Feature that set the cap
+   * @returns {boolean} True if the tab had a cap from this source
+   */
+  clearVolumeCap(tabId, source) {
+    const caps = this.volumeCaps.get(tabId);
+    if (!caps || !caps.has(source)) return false;
+    
+    const previousVolume = this.getEffectiveVolume(tabId);
+    caps.delete(source);
+    if (caps.size === 0) {
+      this.volumeCaps.delete(tabId);
+    }
+    this.sendEffectiveVolume(tabId, previousVolume);
+    return true;
+  }
+  
+  /**
+   * Limit the volume every tab plays at, including tabs opened later
+   * @param {string} source - Feature setting the cap (e.g. 'quietHours')
+   * @param {number} maxVolume - Highest volume any tab may play at
+   * @returns {Promise<boolean>} True if the cap changed
+   */
+  async setGlobalVolumeCap(source, maxVolume) {
+    if (this.globalVolumeCaps.get(source) === maxVolume) return false;
+    await this.changeGlobalVolumeCaps(() => this.globalVolumeCaps.set(source, maxVolume));
+    return true;
+  }
+  
+  /**
+   * Remove a cap that applies to every tab
+   * @param {string} source - Feature that set the cap
+   * @returns {Promise<boolean>} True if the cap was set
+   */
+  async clearGlobalVolumeCap(source) {
+    if (!this.globalVolumeCaps.has(source)) return false;
+    await this.changeGlobalVolumeCaps(() => this.globalVolumeCaps.delete(source));
+    return true;
+  }
+  
+  /**
+   * Change the global caps and send new effective volumes to the tabs they affect
+   * @param {Function} change - Function that changes globalVolumeCaps
+   */
+  async changeGlobalVolumeCaps(change) {
+    const tabs = await browser.tabs.query({});
+    const previousVolumes = new Map(tabs.map(tab => [tab.id, this.getEffectiveVolume(tab.id)]));
+    change();
+    tabs.forEach(tab => this.sendEffectiveVolume(tab.id, previousVolumes.get(tab.id)));
+  }
+  
+  /**
+   * Send a tab's effective volume to its content script if a cap changed it
+   * @param {number} tabId - Tab ID
+   * @param {number} previousVolume - Effective volume before the change
+   */
+  sendEffectiveVolume(tabId, previousVolume) {
+    const volume = this.getEffectiveVolume(tabId);
+    if (volume !== previousVolume) {
+      browser.tabs.sendMessage(tabId, { action: 'setVolume', volume }).catch(() => {});
+      this._emit('capsChanged', { tabId, volume, previousVolume });
+    }
+  }
+  
+  /**
+   * Solo a tab, or end the solo if the tab is already soloed
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<number|null>} ID of the soloed tab, or null if no tab is soloed
+   */
+  async toggleSolo(tabId) {
+    if (this.soloTabId === tabId) {
+      this.endSolo();
+    } else {
+      await this.soloTab(tabId);
+    }
+    this.notifyPopupUpdate();
+    return this.soloTabId;
+  }
+  
+  /**
+   * Save a tab's part in the solo to the session, so it survives a background restart
+   * @param {number} tabId - Tab ID
+   * @param {string|undefined} role - 'soloed', 'muted' or undefined to remove it
+   */
+  saveSoloRole(tabId, role) {
+    // Private tabs keep their state in memory only
+    if (this.isPrivateTab(tabId)) return;
+    this.tabStateStore.saveTabValue(tabId, this.SOLO_KEY, role);
+  }
+  
+  /**
+   * Mute a tab for the current solo
+   * @param {number} tabId - Tab ID
+   */
+  muteForSolo(tabId) {
+    this.setVolumeCap(tabId, this.SOLO_CAP, 0);
+    this.saveSoloRole(tabId, 'muted');
+  }
+  
+  /**
+   * Mute every other audio tab so only this tab is heard
+   * Other tabs keep their own volumes and get them back when the solo ends
+   * @param {number} tabId - Tab ID
+   */
+  async soloTab(tabId) {
+    this.endSolo();
+    this.soloTabId = tabId;
+    this.saveSoloRole(tabId, 'soloed');
+    
+    const tabs = await browser.tabs.query({});
+    tabs
+      .filter(tab => tab.id !== tabId && (this.audioTabs.has(tab.id) || tab.audible))
+      .forEach(tab => {
+        this.muteForSolo(tab.id);
+      });
+  }
+  
+  /**
+   * End the current solo and restore the other tabs
+   */
+  endSolo() {
+    if (this.soloTabId !== null) {
+      this.saveSoloRole(this.soloTabId, undefined);
+    }
+    this.soloTabId = null;
+    Array.from(this.volumeCaps.keys()).forEach(tabId => {
+      if (this.clearVolumeCap(tabId, this.SOLO_CAP)) {
+        this.saveSoloRole(tabId, undefined);
+      }
+    });
+  }
+  
+  /**
+   * Change a tab's volume by a relative amount, clamped to the allowed range
+   * @param {number} tabId - Tab ID
+   * @param {number} delta - Volume change in percentage points
+   * @returns {boolean} False if the tab's volume is locked by a rule
+   */
+  adjustTabVolume(tabId, delta) {
+    const volume = Math.min(this.MAX_VOLUME, Math.max(this.MIN_VOLUME, this.getTabVolume(tabId) + delta));
+    return this.setTabVolume(tabId, volume);
+  }
+  
+  /**
+   * Toggle mute for a tab, restoring the volume it had before muting
+   * @param {number} tabId - Tab ID
+   * @returns {boolean} False if the tab's volume is locked by a rule
+   */
+  toggleTabMute(tabId) {
+    const currentVolume = this.getTabVolume(tabId);
+    
+    // Muting is temporary, so it is never remembered for the site
+    if (currentVolume === 0) {
+      const restoredVolume = this.mutedVolumes.get(tabId) ?? this.getDefaultVolume(tabId);
+      return this.setTabVolume(tabId, restoredVolume, { remember: false });
+    }
+    
+    const applied = this.setTabVolume(tabId, 0, { remember: false });
+    if (applied) {
+      this.mutedVolumes.set(tabId, currentVolume);
     }
-    return this.tabVolumes.get(tabId) || this.DEFAULT_VOLUME;
+    return applied;
+  }
+  
+  /**
+   * Reset a tab to the default volume
+   * @param {number} tabId - Tab ID
+   * @returns {boolean} False if the tab's volume is locked by a rule
+   */
+  resetTabVolume(tabId) {
+    return this.setTabVolume(tabId, this.getDefaultVolume(tabId));
   }
   
   /**
    * Set tab volume
    * @param {number} tabId - Tab ID
    * @param {number} volume - Volume level
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.remember=true] - Remember the volume for the tab's site
+   * @returns {boolean} False if the tab's volume is locked by a rule
    */
-  setTabVolume(tabId, volume) {
+  setTabVolume(tabId, volume, options = {}) {
+    const { remember = true } = options;
+    
+    const lockedRule = this.getLockedRule(tabId);
+    if (lockedRule && lockedRule.volume !== volume) {
+      console.log(`Tab ${tabId} volume is locked at ${lockedRule.volume}% by rule "${lockedRule.pattern}"`);
+      return false;
+    }
+    
+    const previousVolume = this.getTabVolume(tabId);
     this.tabVolumes.set(tabId, volume);
+    this.persistTabState(tabId);
+    this._emit('volumeChanged', { tabId, volume, previousVolume });
     
-    // Initialize hostname tracking if needed
-    if (!this.tabHostnames.has(tabId)) {
+    // Any audible level replaces the volume saved by toggleTabMute
+    if (volume !== 0) {
+      this.mutedVolumes.delete(tabId);
+    }
+    
+    if (this.tabHostnames.has(tabId)) {
+      if (remember) {
+        this.rememberSiteVolume(tabId, volume);
+      }
+    } else {
+      // Initialize hostname tracking if needed
       browser.tabs.get(tabId).then(tab => {
         if (tab?.url) {
           try {
@@ -67,12 +569,147 @@ class TabManager {
           } catch (e) {
             this.tabHostnames.set(tabId, 'unknown');
           }
+          if (remember) {
+            this.rememberSiteVolume(tabId, volume);
+          }
+          this.persistTabState(tabId);
         }
       }).catch(() => {});
     }
     
-    // Send message to content script
-    browser.tabs.sendMessage(tabId, { action: 'setVolume', volume }).catch(() => {});
+    // Send message to content script, active caps still apply on top of the new volume
+    browser.tabs.sendMessage(tabId, { action: 'setVolume', volume: this.getEffectiveVolume(tabId) }).catch(() => {});
+    return true;
+  }
+  
+  /**
+   * Get the locked rule applied to a tab
+   * @param {number} tabId - Tab ID
+   * @returns {Object|null} Locked rule or null if the tab is not locked
+   */
+  getLockedRule(tabId) {
+    const rule = this.getTabRule(tabId);
+    return rule && rule.locked ? rule : null;
+  }
+  
+  /**
+   * Get the rule currently applied to a tab
+   * @param {number} tabId - Tab ID
+   * @returns {Object|null} Rule or null if no rule is applied
+   */
+  getTabRule(tabId) {
+    const ruleId = this.tabRules.get(tabId);
+    const rule = ruleId ? this.volumeRules.getRule(ruleId) : undefined;
+    return rule && rule.enabled ? rule : null;
+  }
+  
+  /**
+   * Apply the first volume rule matching a URL to a tab
+   * @param {number} tabId - Tab ID
+   * @param {string} url - Tab URL
+   * @param {boolean} [force=false] - Re-apply even if the same rule was already applied
+   * @returns {boolean} True if a rule matched
+   */
+  applyMatchingRule(tabId, url, force = false) {
+    const rule = this.volumeRules.findMatch(url);
+    const previousRuleId = this.tabRules.get(tabId);
+    
+    if (!rule) {
+      if (previousRuleId) {
+        this.tabRules.delete(tabId);
+        this.persistTabState(tabId);
+      }
+      return false;
+    }
+    
+    this.tabRules.set(tabId, rule.id);
+    
+    // Keep the user's adjustments while the same unlocked rule keeps matching
+    if (!force && previousRuleId === rule.id && !rule.locked) {
+      return true;
+    }
+    
+    if (this.getTabVolume(tabId) !== rule.volume) {
+      this.setTabVolume(tabId, rule.volume, { remember: false });
+      this.notifyPopupUpdate();
+    } else {
+      this.persistTabState(tabId);
+    }
+    return true;
+  }
+  
+  /**
+   * Re-evaluate volume rules for all open tabs after the rules changed
+   * @param {string} [changedRuleId] - ID of an edited rule whose volume should be re-applied
+   */
+  async reapplyRules(changedRuleId) {
+    try {
+      const tabs = await browser.tabs.query({});
+      tabs.forEach(tab => {
+        const force = changedRuleId !== undefined && this.tabRules.get(tab.id) === changedRuleId;
+        this.applyMatchingRule(tab.id, tab.url, force);
+      });
+      this.notifyPopupUpdate();
+    } catch (error) {
+      console.error('Failed to re-apply volume rules:', error);
+    }
+  }
+  
+  /**
+   * Apply volume rules when a tab starts playing audio for the first time
+   * @param {number} tabId - Tab ID
+   */
+  async applyRulesOnFirstAudio(tabId) {
+    if (this.tabRules.has(tabId)) return;
+    
+    try {
+      await this.volumeRules.loaded;
+      const tab = await browser.tabs.get(tabId);
+      if (tab?.url) {
+        this.applyMatchingRule(tabId, tab.url);
+      }
+    } catch (error) {
+      // Tab was closed, nothing to apply
+    }
+  }
+  
+  /**
+   * Remember a tab's volume for its site, forgetting it when it is back at the default
+   * @param {number} tabId - Tab ID
+   * @param {number} volume - Volume level
+   */
+  rememberSiteVolume(tabId, volume) {
+    if (!this.settings.get('rememberSiteVolumes')) return;
+    
+    const hostname = this.tabHostnames.get(tabId);
+    if (this.isPrivateTab(tabId)) {
+      if (volume === this.getDefaultVolume(tabId)) {
+        this.privateSiteVolumes.delete(hostname);
+      } else {
+        this.privateSiteVolumes.set(hostname, volume);
+      }
+      return;
+    }
+    
+    const cookieStoreId = this.getSiteVolumeContainer(tabId);
+    if (volume === this.getDefaultVolume(tabId)) {
+      this.siteVolumeStore.removeVolume(hostname, cookieStoreId);
+    } else {
+      this.siteVolumeStore.setVolume(hostname, volume, cookieStoreId);
+    }
+  }
+  
+  /**
+   * Get the volume remembered for a site, from memory for private tabs
+   * @param {number} tabId - Tab ID
+   * @param {string} hostname - Hostname
+   * @returns {number|undefined} Remembered volume or undefined if none
+   */
+  getRememberedSiteVolume(tabId, hostname) {
+    if (this.isPrivateTab(tabId)) {
+      return this.privateSiteVolumes.get(hostname);
+    }
+    return this.siteVolumeStore.getVolume(hostname, this.getSiteVolumeContainer(tabId));
   }
   
   /**
@@ -80,46 +717,120 @@ class TabManager {
    * @returns {Promise<Array>} Array of audio tab info
    */
   async getAudioTabStatus() {
-    const tabs = await browser.tabs.query({});
+    const [tabs, containers] = await Promise.all([browser.tabs.query({}), this.getContainers()]);
     const audioTabsInfo = tabs
       .filter(tab => this.audioTabs.has(tab.id) || tab.audible)
       .map(tab => ({
         id: tab.id,
         title: tab.title,
         volume: this.getTabVolume(tab.id),
+        caps: this.getVolumeCaps(tab.id),
         favIconUrl: tab.favIconUrl,
-        audible: tab.audible || false
+        audible: tab.audible || false,
+        rule: this.getTabRule(tab.id),
+        soloed: this.soloTabId === tab.id,
+        container: containers.get(tab.cookieStoreId) || null,
+        incognito: tab.incognito || false
       }));
     return audioTabsInfo;
   }
   
+  /**
+   * Get the hostname of a URL
+   * @param {string} url - URL
+   * @returns {string|null} Lowercase hostname or null for invalid URLs
+   */
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Get the tabs a bulk action applies to
+   * @param {Object} [scope] - Scope of the action
+   * @param {string} [scope.type='all'] - 'all' or 'window' audio tabs, audio tabs on the active tab's 'site', or explicit 'tabs'
+   * @param {number} [scope.windowId] - Window for 'window' and 'site', defaults to the last focused window
+   * @param {Array<number>} [scope.tabIds] - Tab IDs for 'tabs'
+   * @returns {Promise<Array>} Tabs in scope
+   */
+  async getTabsInScope(scope = {}) {
+    const { type = 'all' } = scope;
+    const tabIds = Array.isArray(scope.tabIds) ? scope.tabIds : [];
+    const tabs = await browser.tabs.query({});
+    const audioTabs = tabs.filter(tab => this.audioTabs.has(tab.id) || tab.audible);
+    
+    if (type === 'tabs') {
+      return tabs.filter(tab => tabIds.includes(tab.id));
+    }
+    if (type !== 'window' && type !== 'site') {
+      return audioTabs;
+    }
+    
+    const windowId = scope.windowId ?? (await browser.windows.getLastFocused()).id;
+    if (type === 'window') {
+      return audioTabs.filter(tab => tab.windowId === windowId);
+    }
+    
+    const activeTab = tabs.find(tab => tab.active && tab.windowId === windowId);
+    const hostname = activeTab ? this.getHostname(activeTab.url) : null;
+    return hostname ? audioTabs.filter(tab => this.getHostname(tab.url) === hostname) : [];
+  }
+  
+  /**
+   * Apply volume to the audio tabs in a scope
+   * @param {number} volume - Volume to apply
+   * @param {Object} [scope] - Scope of the action, see getTabsInScope
+   * @returns {Promise<Array<number>>} IDs of the tabs that changed (locked tabs are skipped)
+   */
+  async applyToTabs(volume, scope) {
+    const tabs = await this.getTabsInScope(scope);
+    
+    // Bulk changes are not remembered per site
+    return tabs
+      .filter(tab => this.setTabVolume(tab.id, volume, { remember: false }))
+      .map(tab => tab.id);
+  }
+  
+  /**
+   * Reset the audio tabs in a scope to their default volume
+   * @param {Object} [scope] - Scope of the action, see getTabsInScope
+   * @returns {Promise<Array<number>>} IDs of the tabs that changed
+   */
+  async resetTabs(scope) {
+    const tabs = await this.getTabsInScope(scope);
+    
+    // Each tab goes back to the default of its own container
+    return tabs
+      .filter(tab => this.setTabVolume(tab.id, this.getDefaultVolume(tab.id), { remember: false }))
+      .map(tab => tab.id);
+  }
+  
   /**
    * Apply volume to all audio tabs
    * @param {number} volume - Volume to apply
+   * @returns {Promise<Array<number>>} IDs of the tabs that changed
    */
   async applyToAllTabs(volume) {
-    const tabs = await browser.tabs.query({});
-    tabs
-      .filter(tab => this.audioTabs.has(tab.id) || tab.audible)
-      .forEach(tab => {
-        this.setTabVolume(tab.id, volume);
-      });
+    return this.applyToTabs(volume);
   }
   
   /**
    * Reset all tabs to default volume
+   * @returns {Promise<Array<number>>} IDs of the tabs that changed
    */
   async resetAllTabs() {
-    await this.applyToAllTabs(this.DEFAULT_VOLUME);
+    return this.resetTabs();
   }
   
   /**
-   * Notify popup about audio status changes
+   * Notify open popups about audio status changes
+   * PopupPorts listens for 'statusChanged' and sends each popup what changed.
    */
   notifyPopupUpdate() {
-    browser.runtime.sendMessage({ action: 'audioStatusChanged' }).catch(() => {
-      // Popup might not be open, that's fine
-    });
+    this._emit('statusChanged');
   }
   
   /**
@@ -142,6 +853,11 @@ class TabManager {
         this.audioTabs.delete(tabId);
         this.tabVolumes.delete(tabId);
         this.tabHostnames.delete(tabId);
+        this.tabRules.delete(tabId);
+        this.tabContainers.delete(tabId);
+        this.privateTabs.delete(tabId);
+        this.mutedVolumes.delete(tabId);
+        this.volumeCaps.delete(tabId);
         clearTimeout(this.tabRemovalTimeouts.get(tabId));
         this.tabRemovalTimeouts.delete(tabId);
       });
@@ -154,9 +870,22 @@ class TabManager {
    */
   handleTabUpdated(tabId, changeInfo) {
     if (changeInfo.audible !== undefined) {
+      this._emit('audibleChanged', { tabId, audible: changeInfo.audible });
+      
       if (changeInfo.audible) {
         // Tab started playing audio
+        const isFirstAudio = !this.audioTabs.has(tabId);
         this.audioTabs.add(tabId);
+        this.persistTabState(tabId);
+        
+        if (isFirstAudio) {
+          this.applyRulesOnFirstAudio(tabId);
+        }
+        
+        // Tabs that start playing during a solo are muted as well
+        if (this.soloTabId !== null && tabId !== this.soloTabId) {
+          this.muteForSolo(tabId);
+        }
         
         // Initialize hostname tracking
         if (!this.tabHostnames.has(tabId)) {
@@ -218,6 +947,7 @@ class TabManager {
                   console.log(`Removing tab ${tabId} from audio list (timeout expired, still not audible, not active)`);
                   this.audioTabs.delete(tabId);
                   this.tabRemovalTimeouts.delete(tabId);
+                  this.persistTabState(tabId);
                   this.notifyPopupUpdate();
                 } else {
                   console.log(`Tab ${tabId} became active again, canceling removal`);
@@ -233,7 +963,7 @@ class TabManager {
               this.tabRemovalTimeouts.delete(tabId);
               this.notifyPopupUpdate();
             }
-          }, this.REMOVAL_DELAY);
+          }, this.settings.get('removalDelay'));
           
           this.tabRemovalTimeouts.set(tabId, timeoutId);
         }
@@ -247,9 +977,10 @@ class TabManager {
             console.log(`Removing tab ${tabId} from audio list (timeout expired, can't check active state)`);
             this.audioTabs.delete(tabId);
             this.tabRemovalTimeouts.delete(tabId);
+            this.persistTabState(tabId);
             this.notifyPopupUpdate();
           }
-        }, this.REMOVAL_DELAY);
+        }, this.settings.get('removalDelay'));
         
         this.tabRemovalTimeouts.set(tabId, timeoutId);
       }
@@ -261,24 +992,62 @@ class TabManager {
    * @param {number} tabId - Tab ID
    * @param {string} newUrl - New URL
    */
-  handleUrlChange(tabId, newUrl) {
+  async handleUrlChange(tabId, newUrl) {
+    let hostname;
     try {
-      const url = new URL(newUrl);
-      const hostname = url.hostname.toLowerCase();
-      const previousHostname = this.tabHostnames.get(tabId);
-      const hadPreviousVolume = this.tabVolumes.has(tabId);
-      
-      // Reset volume if hostname changed
-      if (hadPreviousVolume && previousHostname && previousHostname !== hostname) {
-        this.tabVolumes.set(tabId, this.DEFAULT_VOLUME);
-        browser.tabs.sendMessage(tabId, { action: 'setVolume', volume: this.DEFAULT_VOLUME }).catch(() => {});
-        this.notifyPopupUpdate();
-      }
-      
-      // Update stored hostname
-      this.tabHostnames.set(tabId, hostname);
+      hostname = new URL(newUrl).hostname.toLowerCase();
     } catch (error) {
       // Invalid URL, ignore
+      return;
+    }
+    
+    const previousHostname = this.tabHostnames.get(tabId);
+    const hadPreviousVolume = this.tabVolumes.has(tabId);
+    const previousRuleId = this.tabRules.get(tabId);
+    
+    // Update stored hostname
+    this.tabHostnames.set(tabId, hostname);
+    if (previousHostname !== hostname) {
+      this.persistTabState(tabId);
+      this._emit('siteChanged', { tabId, hostname, previousHostname });
+    }
+    
+    await Promise.all([this.siteVolumeStore.loaded, this.volumeRules.loaded, this.settings.loaded]);
+    
+    // Volume rules match the full URL and take precedence over remembered site volumes
+    if (this.applyMatchingRule(tabId, newUrl)) return;
+    
+    // Otherwise only act when the site changed or the tab just left a rule
+    if (previousHostname === hostname && !previousRuleId) return;
+    
+    const rememberedVolume = this.settings.get('rememberSiteVolumes')
+      ? this.getRememberedSiteVolume(tabId, hostname)
+      : undefined;
+    
+    if (rememberedVolume !== undefined) {
+      // Restore the remembered volume for this site
+      if (this.getTabVolume(tabId) !== rememberedVolume) {
+        this.setTabVolume(tabId, rememberedVolume, { remember: false });
+        this.notifyPopupUpdate();
+      }
+    } else if (hadPreviousVolume && previousHostname) {
+      // Reset volume if hostname changed
+      this.setTabVolume(tabId, this.getDefaultVolume(tabId), { remember: false });
+      this.notifyPopupUpdate();
+    }
+  }
+  
+  /**
+   * Handle tab creation, restoring state for tabs reopened from the session
+   * @param {Object} tab - Created tab
+   */
+  async handleTabCreated(tab) {
+    this.trackTab(tab);
+    
+    const state = await this.tabStateStore.getTabState(tab.id);
+    if (state) {
+      this.applyRestoredState(tab.id, state);
+      this.notifyPopupUpdate();
     }
   }
   
@@ -288,6 +1057,11 @@ class TabManager {
   handleTabRemoved(tabId) {
     this.tabVolumes.delete(tabId);
     this.tabHostnames.delete(tabId);
+    this.tabRules.delete(tabId);
+    this.tabContainers.delete(tabId);
+    this.privateTabs.delete(tabId);
+    this.mutedVolumes.delete(tabId);
+    this.volumeCaps.delete(tabId);
     
     // Clear any pending removal timeout
     if (this.tabRemovalTimeouts.has(tabId)) {
@@ -295,18 +1069,43 @@ class TabManager {
       this.tabRemovalTimeouts.delete(tabId);
     }
     
+    // Closing the soloed tab gives the other tabs their sound back
+    const wasSoloed = this.soloTabId === tabId;
+    if (wasSoloed) {
+      this.endSolo();
+    }
+    
     const wasAudioTab = this.audioTabs.has(tabId);
     this.audioTabs.delete(tabId);
     
-    if (wasAudioTab) {
+    if (wasAudioTab || wasSoloed) {
       this.notifyPopupUpdate();
     }
   }
   
+  /**
+   * Forget private browsing state when the last private window closes
+   */
+  async handleWindowRemoved() {
+    if (this.privateSiteVolumes.size === 0) return;
+    
+    try {
+      const windows = await browser.windows.getAll();
+      if (!windows.some(window => window.incognito)) {
+        this.privateSiteVolumes.clear();
+        console.log('Last private window closed, forgot private site volumes');
+      }
+    } catch (error) {
+      console.error('Failed to check for private windows:', error);
+    }
+  }
+  
   /**
    * Handle active tab changes to manage audio tab removal and restoration
    */
   async handleTabActivated(activeInfo) {
+    this._emit('tabActivated', activeInfo);
+    
     try {
       const tabs = await browser.tabs.query({});
       const activeTab = tabs.find(tab => tab.id === activeInfo.tabId);
@@ -341,7 +1140,7 @@ class TabManager {
       reason = 'currently audible';
     }
     // Second check if tab has a non-default stored volume - indicates user set a preference
-    else if (this.tabVolumes.has(tabId) && this.tabVolumes.get(tabId) !== this.DEFAULT_VOLUME) {
+    else if (this.tabVolumes.has(tabId) && this.tabVolumes.get(tabId) !== this.getDefaultVolume(tabId)) {
       shouldBeInList = true;
       reason = 'has non-default volume setting';
     }
@@ -384,7 +1183,7 @@ class TabManager {
       }
     }
     
-    console.log(`Tab ${tabId} activation check: shouldBeInList=${shouldBeInList}, reason="${reason}", wasInList=${this.audioTabs.has(tabId)}, volume=${this.tabVolumes.get(tabId) || 'none'}`);
+    console.log(`Tab ${tabId} activation check: shouldBeInList=${shouldBeInList}, reason="${reason}", wasInList=${this.audioTabs.has(tabId)}, volume=${this.tabVolumes.get(tabId) ?? 'none'}`);
     
     if (shouldBeInList) {
       // Tab should be in the audio list
@@ -393,7 +1192,7 @@ class TabManager {
       
       // Initialize volume if not set
       if (!this.tabVolumes.has(tabId)) {
-        this.tabVolumes.set(tabId, this.DEFAULT_VOLUME);
+        this.tabVolumes.set(tabId, this.getDefaultVolume(tabId));
       }
       
       // Initialize hostname tracking if needed
@@ -406,6 +1205,8 @@ class TabManager {
         }
       }
       
+      this.persistTabState(tabId);
+      
       // Only notify if state changed
       if (!wasInList) {
         console.log(`Tab ${tabId} added back to audio list`);
@@ -415,6 +1216,7 @@ class TabManager {
       // Tab should not be in the list - remove it if present
       if (this.audioTabs.has(tabId)) {
         this.audioTabs.delete(tabId);
+        this.persistTabState(tabId);
         console.log(`Tab ${tabId} removed from audio list`);
         this.notifyPopupUpdate();
       }
@@ -438,9 +1240,10 @@ class TabManager {
           if (this.audioTabs.has(tab.id)) {
             this.audioTabs.delete(tab.id);
             this.tabRemovalTimeouts.delete(tab.id);
+            this.persistTabState(tab.id);
             this.notifyPopupUpdate();
           }
-        }, this.REMOVAL_DELAY);
+        }, this.settings.get('removalDelay'));
         
         this.tabRemovalTimeouts.set(tab.id, timeoutId);
       }
@@ -0,0 +1,101 @@
+/**
+ * Firefox Tab Volume Control - Tab State Store
+ * Persists per-tab state in the browser session so it survives background
+ * restarts, extension updates and session restore
+ */
+
+class TabStateStore {
+  constructor() {
+    // Constants
+    this.STATE_KEY = 'tabState';
+  }
+
+  /**
+   * Save state for a tab
+   * @param {number} tabId - Tab ID
+   * @param {Object} state - Tab state ({ volume, hostname, audio })
+   */
+  async saveTabState(tabId, state) {
+    try {
+      await browser.sessions.setTabValue(tabId, this.STATE_KEY, state);
+    } catch (error) {
+      // Tab might have been closed already, that's fine
+    }
+  }
+
+  /**
+   * Get the saved state for a tab
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object|undefined>} Saved tab state or undefined if none
+   */
+  async getTabState(tabId) {
+    try {
+      const state = await browser.sessions.getTabValue(tabId, this.STATE_KEY);
+      return state && typeof state === 'object' ? state : undefined;
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Save a value for a tab under its own key, for features that keep separate per-tab state
+   * @param {number} tabId - Tab ID
+   * @param {string} key - Value key
+   * @param {*} value - Value to save, undefined removes it
+   */
+  async saveTabValue(tabId, key, value) {
+    try {
+      if (value === undefined) {
+        await browser.sessions.removeTabValue(tabId, key);
+      } else {
+        await browser.sessions.setTabValue(tabId, key, value);
+      }
+    } catch (error) {
+      // Tab might have been closed already, that's fine
+    }
+  }
+
+  /**
+   * Get a value saved for a tab under its own key
+   * @param {number} tabId - Tab ID
+   * @param {string} key - Value key
+   * @returns {Promise<*>} Saved value or undefined if none
+   */
+  async getTabValue(tabId, key) {
+    try {
+      return await browser.sessions.getTabValue(tabId, key);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Get the saved state for all open tabs
+   * @returns {Promise<Map>} Map of tab ID to saved tab state
+   */
+  async getAllTabStates() {
+    const states = new Map();
+
+    try {
+      const tabs = await browser.tabs.query({});
+      await Promise.all(tabs.map(async tab => {
+        const state = await this.getTabState(tab.id);
+        if (state) {
+          states.set(tab.id, { ...state, audible: tab.audible || false });
+        }
+      }));
+    } catch (error) {
+      console.error('Failed to read saved tab states:', error);
+    }
+
+    return states;
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabStateStore;
+} else {
+  // Browser environment
+  window.TabStateStore = TabStateStore;
+}
@@ -0,0 +1,63 @@
+/**
+ * Firefox Tab Volume Control - URL Matcher
+ * Compiles URL globs and regular expressions used by volume rules
+ */
+
+class UrlMatcher {
+  /**
+   * Convert a URL glob to a regular expression
+   * `*` matches any run of characters (including `/`), `?` matches a single character.
+   * Example: `*://*.youtube.com/watch*`
+   * @param {string} glob - URL glob
+   * @returns {RegExp} Anchored, case-insensitive regular expression
+   */
+  static globToRegExp(glob) {
+    const source = glob
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Compile a pattern into a regular expression
+   * @param {string} pattern - URL glob or regular expression source
+   * @param {string} type - Pattern type ('glob' or 'regex')
+   * @returns {RegExp|null} Compiled expression or null if the pattern is invalid
+   */
+  static compile(pattern, type) {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+      return null;
+    }
+
+    try {
+      return type === 'regex' ? new RegExp(pattern, 'i') : UrlMatcher.globToRegExp(pattern.trim());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check if a URL matches a pattern
+   * @param {string} pattern - URL glob or regular expression source
+   * @param {string} type - Pattern type ('glob' or 'regex')
+   * @param {string} url - URL to test
+   * @returns {boolean} True if the URL matches
+   */
+  static matches(pattern, type, url) {
+    const regex = UrlMatcher.compile(pattern, type);
+    return regex !== null && typeof url === 'string' && regex.test(url);
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UrlMatcher;
+} else {
+  // Browser environment
+  window.UrlMatcher = UrlMatcher;
+}
@@ -0,0 +1,151 @@
+/**
+ * Firefox Tab Volume Control - Volume History
+ * Bounded undo/redo history of volume changes made from the popup
+ */
+
+class VolumeHistory {
+  /**
+   * @param {TabManager} tabManager - Tab manager that changes the volumes
+   */
+  constructor(tabManager) {
+    this.tabManager = tabManager;
+
+    // State management
+    this.undoStack = []; // Entries: { label, gestureId, remember, changes: [{ tabId, before, after }] }
+    this.redoStack = [];
+
+    // Constants
+    this.MAX_ENTRIES = 50;
+  }
+
+  /**
+   * Run a volume action and record the tab volumes it changed
+   * Consecutive actions with the same gesture ID (e.g. one slider drag) become one entry.
+   * @param {string} label - Description shown in the popup (e.g. 'Reset tabs')
+   * @param {Function} action - Function returning (a promise of) the IDs of the tabs it changed
+   * @param {Object} [options] - Options
+   * @param {string} [options.gestureId] - ID shared by all changes of one user gesture
+   * @param {boolean} [options.remember=false] - Whether undo and redo update remembered site volumes
+   * @returns {Promise<Array<number>>} IDs of the changed tabs
+   */
+  async record(label, action, options = {}) {
+    const { gestureId = null, remember = false } = options;
+    const observed = new Map();
+    const observe = ({ tabId, volume, previousVolume }) => {
+      const before = observed.has(tabId) ? observed.get(tabId).before : previousVolume;
+      observed.set(tabId, { tabId, before, after: volume });
+    };
+
+    this.tabManager.addEventListener('volumeChanged', observe);
+    let tabIds;
+    try {
+      tabIds = await action();
+    } finally {
+      this.tabManager.removeEventListener('volumeChanged', observe);
+    }
+
+    // Only keep changes made by the action itself, not by other events meanwhile
+    const changes = tabIds
+      .map(tabId => observed.get(tabId))
+      .filter(change => change && change.before !== change.after);
+
+    if (changes.length > 0) {
+      this.push({ label, gestureId, remember, changes });
+    }
+    return tabIds;
+  }
+
+  /**
+   * Add an entry, merging it into the last one when it continues the same gesture
+   * @param {Object} entry - History entry
+   */
+  push(entry) {
+    const last = this.undoStack[this.undoStack.length - 1];
+
+    if (last && entry.gestureId !== null && last.gestureId === entry.gestureId) {
+      entry.changes.forEach(change => {
+        const existing = last.changes.find(lastChange => lastChange.tabId === change.tabId);
+        if (existing) {
+          existing.after = change.after;
+        } else {
+          last.changes.push(change);
+        }
+      });
+    } else {
+      this.undoStack.push(entry);
+      if (this.undoStack.length > this.MAX_ENTRIES) {
+        this.undoStack.shift();
+      }
+    }
+
+    // A new change makes the undone entries unreachable
+    this.redoStack = [];
+  }
+
+  /**
+   * Undo the last recorded change
+   * @returns {Promise<boolean>} True if there was something to undo
+   */
+  async undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return false;
+
+    await this.applyEntry(entry, 'before');
+    this.redoStack.push(entry);
+    return true;
+  }
+
+  /**
+   * Redo the last undone change
+   * @returns {Promise<boolean>} True if there was something to redo
+   */
+  async redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return false;
+
+    await this.applyEntry(entry, 'after');
+    this.undoStack.push(entry);
+    return true;
+  }
+
+  /**
+   * Set the tabs of an entry back to their volumes before or after the change
+   * @param {Object} entry - History entry
+   * @param {string} side - 'before' or 'after'
+   */
+  async applyEntry(entry, side) {
+    const tabs = await browser.tabs.query({});
+    const openTabIds = new Set(tabs.map(tab => tab.id));
+
+    // Tabs closed since the change are skipped, locked tabs refuse the change
+    entry.changes
+      .filter(change => openTabIds.has(change.tabId))
+      .forEach(change => {
+        this.tabManager.setTabVolume(change.tabId, change[side], { remember: entry.remember });
+      });
+    this.tabManager.notifyPopupUpdate();
+  }
+
+  /**
+   * Get the history state for the popup
+   * @returns {Object} State ({ canUndo, canRedo, undoLabel, redoLabel })
+   */
+  getState() {
+    const nextUndo = this.undoStack[this.undoStack.length - 1];
+    const nextRedo = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: Boolean(nextUndo),
+      canRedo: Boolean(nextRedo),
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null
+    };
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VolumeHistory;
+} else {
+  // Browser environment
+  window.VolumeHistory = VolumeHistory;
+}
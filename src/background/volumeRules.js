@@ -0,0 +1,224 @@
+/**
+ * Firefox Tab Volume Control - Volume Rules
+ * User-defined URL pattern rules that set (and optionally lock) tab volumes
+ */
+
+class VolumeRules {
+  constructor() {
+    // State management
+    this.rules = [];
+    this.compiledPatterns = new Map();
+
+    // Constants
+    this.STORAGE_KEY = 'volumeRules';
+    this.MIN_VOLUME = 0;
+    this.MAX_VOLUME = 500;
+    this.RULE_FIELDS = ['pattern', 'type', 'volume', 'priority', 'locked', 'enabled']; // Fields callers may set
+
+    // Resolves once rules have been read from storage
+    this.loaded = this.load();
+  }
+
+  /**
+   * Load rules from storage
+   */
+  async load() {
+    try {
+      const result = await browser.storage.local.get(this.STORAGE_KEY);
+      const stored = result[this.STORAGE_KEY];
+      this.rules = Array.isArray(stored) ? stored.filter(rule => this.validateRule(rule) === null) : [];
+      this.compiledPatterns.clear();
+    } catch (error) {
+      console.error('Failed to load volume rules:', error);
+    }
+  }
+
+  /**
+   * Persist rules to storage
+   */
+  async save() {
+    try {
+      await browser.storage.local.set({ [this.STORAGE_KEY]: this.rules });
+    } catch (error) {
+      console.error('Failed to save volume rules:', error);
+    }
+  }
+
+  /**
+   * Validate a rule
+   * @param {Object} rule - Rule to validate
+   * @returns {string|null} Error message or null if the rule is valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      return 'Rule must be an object';
+    }
+    if (rule.type !== 'glob' && rule.type !== 'regex') {
+      return `Invalid rule type: ${rule.type}`;
+    }
+    if (UrlMatcher.compile(rule.pattern, rule.type) === null) {
+      return `Invalid ${rule.type} pattern: ${rule.pattern}`;
+    }
+    if (typeof rule.volume !== 'number' || rule.volume < this.MIN_VOLUME || rule.volume > this.MAX_VOLUME) {
+      return `Invalid volume: ${rule.volume}. Must be between ${this.MIN_VOLUME} and ${this.MAX_VOLUME}`;
+    }
+    if (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority)) {
+      return `Invalid priority: ${rule.priority}`;
+    }
+    if (typeof rule.locked !== 'boolean') {
+      return `Invalid locked: ${JSON.stringify(rule.locked)}. Must be true or false`;
+    }
+    if (typeof rule.enabled !== 'boolean') {
+      return `Invalid enabled: ${JSON.stringify(rule.enabled)}. Must be true or false`;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the fields callers may set from rule data, dropping unknown keys
+   * @param {Object} ruleData - Rule data or changes
+   * @returns {Object} Known fields that are set, with the pattern trimmed
+   */
+  pickRuleFields(ruleData) {
+    const fields = {};
+    this.RULE_FIELDS.forEach(field => {
+      if (ruleData?.[field] !== undefined) {
+        fields[field] = ruleData[field];
+      }
+    });
+    if (typeof fields.pattern === 'string') {
+      fields.pattern = fields.pattern.trim();
+    }
+    return fields;
+  }
+
+  /**
+   * Get all rules in evaluation order
+   * Higher priority first; rules with equal priority keep the order they were added in.
+   * @returns {Array} Array of rule copies
+   */
+  getRules() {
+    return this.rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index)
+      .map(({ rule }) => ({ ...rule }));
+  }
+
+  /**
+   * Get a rule by ID
+   * @param {string} ruleId - Rule ID
+   * @returns {Object|undefined} Rule copy or undefined
+   */
+  getRule(ruleId) {
+    const rule = this.rules.find(rule => rule.id === ruleId);
+    return rule ? { ...rule } : undefined;
+  }
+
+  /**
+   * Add a new rule
+   * @param {Object} ruleData - Rule data ({ pattern, type, volume, priority, locked, enabled })
+   * @returns {Promise<Object>} Result with the added rule or an error
+   */
+  async addRule(ruleData) {
+    const rule = {
+      id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      type: 'glob',
+      priority: 0,
+      locked: false,
+      enabled: true,
+      ...this.pickRuleFields(ruleData)
+    };
+
+    const error = this.validateRule(rule);
+    if (error) {
+      return { error };
+    }
+
+    this.rules.push(rule);
+    await this.save();
+    return { rule: { ...rule } };
+  }
+
+  /**
+   * Update an existing rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} Result with the updated rule or an error
+   */
+  async updateRule(ruleId, changes) {
+    const index = this.rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) {
+      return { error: `Rule ${ruleId} not found` };
+    }
+
+    const updated = { ...this.rules[index], ...this.pickRuleFields(changes) };
+    const error = this.validateRule(updated);
+    if (error) {
+      return { error };
+    }
+
+    this.rules[index] = updated;
+    this.compiledPatterns.delete(ruleId);
+    await this.save();
+    return { rule: { ...updated } };
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise<boolean>} True if a rule was removed
+   */
+  async removeRule(ruleId) {
+    const index = this.rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) return false;
+
+    this.rules.splice(index, 1);
+    this.compiledPatterns.delete(ruleId);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Get the compiled pattern for a rule, caching the result
+   * @param {Object} rule - Rule
+   * @returns {RegExp|null} Compiled pattern
+   */
+  getCompiledPattern(rule) {
+    if (!this.compiledPatterns.has(rule.id)) {
+      this.compiledPatterns.set(rule.id, UrlMatcher.compile(rule.pattern, rule.type));
+    }
+    return this.compiledPatterns.get(rule.id);
+  }
+
+  /**
+   * Find the rule that applies to a URL (first match wins)
+   * @param {string} url - URL to test
+   * @returns {Object|null} Matching rule copy or null
+   */
+  findMatch(url) {
+    return this.findAllMatches(url)[0] || null;
+  }
+
+  /**
+   * Find all enabled rules matching a URL in evaluation order
+   * @param {string} url - URL to test
+   * @returns {Array} Matching rule copies
+   */
+  findAllMatches(url) {
+    if (typeof url !== 'string') return [];
+
+    return this.getRules().filter(rule => {
+      if (!rule.enabled) return false;
+      const regex = this.getCompiledPattern(rule);
+      return regex !== null && regex.test(url);
+    });
+  }
+}
+
+// Export for use in background script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VolumeRules;
+} else {
+  // Browser environment
+  window.VolumeRules = VolumeRules;
+}
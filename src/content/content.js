@@ -3,9 +3,8 @@
  * Main coordinator for volume control functionality
  */
 
-// Constants
-const SCAN_INTERVAL = 5000;
-const INITIAL_SCAN_DELAY = 1000;
+// User settings (settings.js is loaded before this script)
+const settings = new Settings();
 
 // Global module instances
 let audioManager;
@@ -13,7 +12,11 @@ let mediaRegistry;
 let volumeController;
 let mediaScanner;
 let navigationHandler;
+let loudnessNormalizer;
+let playbackRateController;
+let tabEffects = null; // Effects the background last sent for this tab
 let modulesLoaded = false;
+let scanIntervalId = null;
 
 /**
  * Initialize site-specific handlers
@@ -79,21 +82,27 @@ async function initializeModules() {
       MediaElementRegistry,
       VolumeController,
       MediaScanner,
-      NavigationHandler
+      NavigationHandler,
+      LoudnessNormalizer,
+      PlaybackRateController
     ] = await Promise.all([
       import(baseUrl + 'audioManager.js').then(m => m.default),
       import(baseUrl + 'mediaElementRegistry.js').then(m => m.default),
       import(baseUrl + 'volumeController.js').then(m => m.default),
       import(baseUrl + 'mediaScanner.js').then(m => m.default),
-      import(baseUrl + 'navigationHandler.js').then(m => m.default)
+      import(baseUrl + 'navigationHandler.js').then(m => m.default),
+      import(baseUrl + 'loudnessNormalizer.js').then(m => m.default),
+      import(baseUrl + 'playbackRateController.js').then(m => m.default)
     ]);
 
     // Initialize modules with proper dependencies
     audioManager = new AudioManager();
     volumeController = new VolumeController(audioManager);
-    mediaRegistry = new MediaElementRegistry(volumeController);
+    playbackRateController = new PlaybackRateController();
+    mediaRegistry = new MediaElementRegistry(volumeController, playbackRateController);
     mediaScanner = new MediaScanner(mediaRegistry);
     navigationHandler = new NavigationHandler(audioManager, mediaRegistry, volumeController, mediaScanner);
+    loudnessNormalizer = new LoudnessNormalizer(audioManager);
 
     modulesLoaded = true;
     return true;
@@ -141,6 +150,33 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       break;
       
+    case 'setEffects':
+      applyEffects(message.effects);
+      sendResponse({ success: true });
+      break;
+      
+    case 'getEffectsStatus':
+      sendResponse({ autoLevel: loudnessNormalizer.getStatus(), media: getMediaRouting() });
+      break;
+      
+    case 'getMediaElements':
+      mediaRegistry.cleanupOrphanedElements();
+      sendResponse({ elements: getMediaElementList() });
+      break;
+      
+    case 'setElementVolume': {
+      const element = mediaRegistry.findElement(message.elementId);
+      if (!element) {
+        sendResponse({ success: false, error: 'Media element not found' });
+        break;
+      }
+      audioManager.setElementVolume(element, message.volume);
+      // Connects the element if it was left to play natively, or updates its HTML5 volume
+      volumeController.applyVolumeToElement(element);
+      sendResponse({ success: true, volume: audioManager.getElementVolume(element) });
+      break;
+    }
+      
     case 'checkAmplification':
       sendResponse({ 
         canAmplify: volumeController.isAmplificationAvailable(),
@@ -150,12 +186,111 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Start periodic media scanning with the configured interval
+ */
+function startPeriodicScan() {
+  if (scanIntervalId) {
+    clearInterval(scanIntervalId);
+  }
+  scanIntervalId = setInterval(() => mediaScanner.scanForMediaElements(), settings.get('scanInterval'));
+}
+
+/**
+ * Turn the tab's audio effects on or off
+ * @param {Object} effects - Effects of this tab ({ autoLevel, limiter, nightMode, equalizer, balance, mono, swap })
+ */
+function applyEffects(effects) {
+  if (!effects) return;
+  tabEffects = effects;
+  loudnessNormalizer.setEnabled(effects.autoLevel === true);
+  audioManager.setDynamics({ limiter: effects.limiter === true, nightMode: effects.nightMode === true });
+  if (Array.isArray(effects.equalizer)) {
+    audioManager.setEqualizer(effects.equalizer);
+  }
+  audioManager.setChannels({
+    balance: typeof effects.balance === 'number' ? effects.balance : 0,
+    mono: effects.mono === true || settings.get('alwaysMono'),
+    swap: effects.swap === true
+  });
+  playbackRateController.setRate(
+    typeof effects.speed === 'number' ? effects.speed : 1,
+    effects.preservePitch !== false,
+    mediaRegistry
+  );
+  // Route the media through Web Audio now if an effect needs it
+  volumeController.setVolume(volumeController.getCurrentVolume(), mediaRegistry);
+}
+
+/**
+ * Count the media elements that play through Web Audio and the HTML5 fallback
+ * Fallback elements only get the volume, not the EQ or other effects.
+ * @returns {Object} Counts ({ total, fallback })
+ */
+function getMediaRouting() {
+  return {
+    total: mediaRegistry.getMediaElementsCount(),
+    fallback: volumeController.getFallbackElements(mediaRegistry).length
+  };
+}
+
+/**
+ * Describe the media elements of the page for the popup
+ * @returns {Array<Object>} Elements ({ id, tag, label, paused, volume, fallback })
+ */
+function getMediaElementList() {
+  const fallbackElements = new Set(volumeController.getFallbackElements(mediaRegistry));
+  return [...mediaRegistry.getMediaElements()].map(element => ({
+    id: mediaRegistry.getElementId(element),
+    tag: element.tagName.toLowerCase(),
+    label: mediaRegistry.getElementLabel(element),
+    paused: element.paused,
+    volume: audioManager.getElementVolume(element),
+    fallback: fallbackElements.has(element)
+  }));
+}
+
+/**
+ * Apply the user's auto level settings
+ */
+function applyAutoLevelSettings() {
+  loudnessNormalizer.setOptions({
+    target: settings.get('autoLevelTarget'),
+    maxBoost: settings.get('autoLevelMaxBoost'),
+    attack: settings.get('autoLevelAttack'),
+    release: settings.get('autoLevelRelease')
+  });
+}
+
+/**
+ * Apply changed settings without a page reload
+ * @param {Array<string>} changedKeys - Keys of changed settings
+ */
+function handleSettingsChanged(changedKeys) {
+  if (changedKeys.includes('scanInterval')) {
+    startPeriodicScan();
+  }
+  if (changedKeys.includes('hostnameCheckInterval')) {
+    navigationHandler.setCheckInterval(settings.get('hostnameCheckInterval'));
+  }
+  if (changedKeys.includes('fadeTime')) {
+    volumeController.setFadeTime(settings.get('fadeTime'));
+  }
+  if (changedKeys.some(key => key.startsWith('autoLevel'))) {
+    applyAutoLevelSettings();
+  }
+  if (changedKeys.includes('alwaysMono')) {
+    applyEffects(tabEffects || {});
+  }
+}
+
 /**
  * Initialize the extension
  */
 async function initialize() {
   // Initialize site handlers first
   await initializeSiteHandlers();
+  await settings.loaded;
   
   // Load and initialize modules
   const success = await initializeModules();
@@ -163,14 +298,37 @@ async function initialize() {
     console.error('Failed to initialize modules, extension may not work properly');
     return;
   }
+  volumeController.setFadeTime(settings.get('fadeTime'));
+  applyAutoLevelSettings();
+  
+  // Apply the volume the background already has for this tab (e.g. a remembered site volume)
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getVolume' });
+    if (response && response.volume !== undefined) {
+      volumeController.setVolume(response.volume, mediaRegistry);
+    }
+  } catch (error) {
+    console.warn('Failed to get initial volume from background:', error);
+  }
+  
+  // Apply the effects the background has for this tab, they stay on across navigation
+  try {
+    const response = await browser.runtime.sendMessage({ action: 'getEffects' });
+    applyEffects(response?.effects);
+  } catch (error) {
+    console.warn('Failed to get audio effects from background:', error);
+  }
   
   // Set up media scanning and monitoring
   mediaScanner.setupObservers();
-  setTimeout(() => mediaScanner.scanForMediaElements(), INITIAL_SCAN_DELAY);
-  setInterval(() => mediaScanner.scanForMediaElements(), SCAN_INTERVAL);
+  setTimeout(() => mediaScanner.scanForMediaElements(), settings.get('initialScanDelay'));
+  startPeriodicScan();
   
   // Start navigation monitoring
+  navigationHandler.setCheckInterval(settings.get('hostnameCheckInterval'));
   navigationHandler.startNavigationMonitoring();
+  
+  settings.addChangeListener(handleSettingsChanged);
 }
 
 /**
@@ -2,27 +2,82 @@
  * AudioManager - Handles Web Audio API operations for volume amplification
  */
 
-import { VOLUME_MAX } from './constants.js';
+import {
+  VOLUME_MAX,
+  GAIN_SMOOTHING_TIME_CONSTANT,
+  AUTO_LEVEL_GAIN_TIME_CONSTANT,
+  ANALYSER_FFT_SIZE,
+  LIMITER_SETTINGS,
+  NIGHT_MODE_SETTINGS,
+  NIGHT_MODE_MAKEUP_GAIN,
+  EQ_BANDS,
+  EQ_Q,
+  EQ_GAIN_TIME_CONSTANT,
+  ELEMENT_VOLUME_DEFAULT,
+  ELEMENT_VOLUME_MAX
+} from './constants.js';
 
 class AudioManager {
   constructor() {
     this.audioContext = null;
+    this.inputNode = null; // Every connected element feeds into this node
+    this.analyserNode = null; // Measures the level before any correction
+    this.autoGainNode = null; // Auto level correction
     this.gainNode = null;
+    this.equalizerNodes = []; // One filter per EQ band, in series
+    this.channelInputNode = null; // Upmixes mono sources to stereo before the channels are split
+    this.channelSplitterNode = null;
+    this.channelGainNodes = []; // [output][input] gains of the channel mix
+    this.channelMergerNode = null;
+    this.nightCompressorNode = null; // Night mode: compresses the dynamic range
+    this.nightMakeupNode = null; // Night mode: raises the compressed audio again
+    this.limiterNode = null; // Keeps amplified audio from clipping
+    this.dynamics = { limiter: false, nightMode: false }; // Kept across navigation, unlike the nodes
+    this.equalizerGains = EQ_BANDS.map(() => 0); // dB per band, also kept across navigation
+    this.channels = { balance: 0, mono: false, swap: false }; // Also kept across navigation
+    this.processingFeatures = new Set(); // Features that need the Web Audio graph even at 100%
     this.connectedElements = new Set();
+    this.elementGainNodes = new WeakMap(); // Element -> its own gain node between its source and the input
+    this.elementVolumes = new WeakMap(); // Element -> volume in percent of the tab volume
     this.blockedSites = new Set();
     this.blockedElements = new WeakSet(); // Track elements that failed Web Audio API connection
   }
 
   /**
    * Initialize Web Audio API for amplification
+   * The graph is: elements -> input -> auto level -> volume gain -> output chain -> destination,
+   * with the analyser tapping the input. The output chain holds the EQ, channel and dynamics stages that are on.
    * @returns {boolean} True if initialization was successful
    */
   initAudioContext() {
     if (!this.audioContext) {
       try {
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.inputNode = this.audioContext.createGain();
+        this.analyserNode = this.audioContext.createAnalyser();
+        this.analyserNode.fftSize = ANALYSER_FFT_SIZE;
+        this.autoGainNode = this.audioContext.createGain();
         this.gainNode = this.audioContext.createGain();
-        this.gainNode.connect(this.audioContext.destination);
+        this.equalizerNodes = EQ_BANDS.map((band, index) => {
+          const filter = this.audioContext.createBiquadFilter();
+          filter.type = band.type;
+          filter.frequency.value = band.frequency;
+          filter.Q.value = EQ_Q;
+          filter.gain.value = this.equalizerGains[index];
+          return filter;
+        });
+        this.createChannelNodes();
+        this.nightCompressorNode = this.createCompressor(NIGHT_MODE_SETTINGS);
+        this.nightMakeupNode = this.audioContext.createGain();
+        this.nightMakeupNode.gain.value = NIGHT_MODE_MAKEUP_GAIN;
+        this.limiterNode = this.createCompressor(LIMITER_SETTINGS);
+        
+        this.inputNode.connect(this.analyserNode);
+        this.inputNode.connect(this.autoGainNode);
+        this.autoGainNode.connect(this.gainNode);
+        this.equalizerNodes.slice(1).forEach((filter, index) => this.equalizerNodes[index].connect(filter));
+        this.nightCompressorNode.connect(this.nightMakeupNode);
+        this.connectOutputChain();
         return true;
       } catch (error) {
         console.warn('AudioContext not available:', error);
@@ -32,6 +87,203 @@ class AudioManager {
     return true;
   }
 
+  /**
+   * Create a compressor with fixed parameters
+   * @param {Object} settings - Parameters ({ threshold, knee, ratio, attack, release })
+   * @returns {DynamicsCompressorNode} Compressor
+   */
+  createCompressor(settings) {
+    const compressor = this.audioContext.createDynamicsCompressor();
+    Object.entries(settings).forEach(([param, value]) => {
+      compressor[param].value = value;
+    });
+    return compressor;
+  }
+
+  /**
+   * Create the channel mix stage used for balance, mono downmix and left/right swap
+   * Each output channel is a mix of both input channels with its own gain.
+   */
+  createChannelNodes() {
+    this.channelInputNode = this.audioContext.createGain();
+    this.channelInputNode.channelCount = 2;
+    this.channelInputNode.channelCountMode = 'explicit';
+    this.channelInputNode.channelInterpretation = 'speakers';
+    this.channelSplitterNode = this.audioContext.createChannelSplitter(2);
+    this.channelMergerNode = this.audioContext.createChannelMerger(2);
+    
+    this.channelInputNode.connect(this.channelSplitterNode);
+    this.channelGainNodes = [0, 1].map(output => [0, 1].map(input => {
+      const gain = this.audioContext.createGain();
+      this.channelSplitterNode.connect(gain, input);
+      gain.connect(this.channelMergerNode, 0, output);
+      return gain;
+    }));
+    this.updateChannelGains();
+  }
+
+  /**
+   * Get the channel mix for the current balance, mono and swap settings
+   * @returns {Array<Array<number>>} Gain of each input channel in each output channel, [output][input]
+   */
+  getChannelMatrix() {
+    const { balance, mono, swap } = this.channels;
+    let matrix;
+    if (mono) {
+      matrix = [[0.5, 0.5], [0.5, 0.5]];
+    } else if (swap) {
+      matrix = [[0, 1], [1, 0]];
+    } else {
+      matrix = [[1, 0], [0, 1]];
+    }
+    
+    // Balance turns the other side down, the favoured side stays at full level
+    const outputGains = [
+      balance > 0 ? 1 - balance / 100 : 1,
+      balance < 0 ? 1 + balance / 100 : 1
+    ];
+    return matrix.map((row, output) => row.map(gain => gain * outputGains[output]));
+  }
+
+  /**
+   * Apply the channel mix to the channel gain nodes
+   */
+  updateChannelGains() {
+    if (!this.audioContext) return;
+    const matrix = this.getChannelMatrix();
+    this.channelGainNodes.forEach((row, output) => row.forEach((gainNode, input) => {
+      gainNode.gain.setTargetAtTime(matrix[output][input], this.audioContext.currentTime, GAIN_SMOOTHING_TIME_CONSTANT);
+    }));
+  }
+
+  /**
+   * Check if the channel mix changes the audio
+   * @returns {boolean} True if balance, mono or swap is on
+   */
+  isChannelMixActive() {
+    return this.channels.balance !== 0 || this.channels.mono || this.channels.swap;
+  }
+
+  /**
+   * Set the balance, mono downmix and left/right swap
+   * @param {Object} channels - Channel settings ({ balance: -100 (left) to 100 (right), mono, swap })
+   */
+  setChannels({ balance, mono, swap }) {
+    const wasActive = this.isChannelMixActive();
+    this.channels = { balance, mono, swap };
+    this.setProcessingFeature('channels', this.isChannelMixActive());
+    
+    this.updateChannelGains();
+    if (wasActive !== this.isChannelMixActive()) {
+      this.connectOutputChain();
+    }
+  }
+
+  /**
+   * Connect the volume gain to the destination through the EQ, channel and dynamics stages that are on
+   * Night mode comes after the EQ and the limiter last, so it also catches their boosts.
+   */
+  connectOutputChain() {
+    if (!this.audioContext) return;
+    
+    const stages = [];
+    const lastEqualizerNode = this.equalizerNodes[this.equalizerNodes.length - 1];
+    if (this.isEqualizerActive()) {
+      stages.push({ input: this.equalizerNodes[0], output: lastEqualizerNode });
+    }
+    if (this.isChannelMixActive()) {
+      stages.push({ input: this.channelInputNode, output: this.channelMergerNode });
+    }
+    if (this.dynamics.nightMode) {
+      stages.push({ input: this.nightCompressorNode, output: this.nightMakeupNode });
+    }
+    if (this.dynamics.limiter) {
+      stages.push({ input: this.limiterNode, output: this.limiterNode });
+    }
+    
+    // Only outputs are disconnected, so the connected elements keep feeding the graph
+    [this.gainNode, lastEqualizerNode, this.channelMergerNode, this.nightMakeupNode, this.limiterNode].forEach(node => node.disconnect());
+    let previous = this.gainNode;
+    stages.forEach(stage => {
+      previous.connect(stage.input);
+      previous = stage.output;
+    });
+    previous.connect(this.audioContext.destination);
+  }
+
+  /**
+   * Turn the limiter and night mode on or off
+   * @param {Object} dynamics - Stages that should be on ({ limiter, nightMode })
+   */
+  setDynamics({ limiter, nightMode }) {
+    this.dynamics = { limiter, nightMode };
+    this.setProcessingFeature('limiter', limiter);
+    this.setProcessingFeature('nightMode', nightMode);
+    this.connectOutputChain();
+  }
+
+  /**
+   * Check if the EQ changes the audio
+   * @returns {boolean} True if any band is boosted or cut
+   */
+  isEqualizerActive() {
+    return this.equalizerGains.some(gain => gain !== 0);
+  }
+
+  /**
+   * Set the EQ curve
+   * The EQ is only part of the graph while it changes the audio.
+   * @param {Array<number>} gains - Gain in dB for each band in EQ_BANDS
+   */
+  setEqualizer(gains) {
+    const wasActive = this.isEqualizerActive();
+    this.equalizerGains = EQ_BANDS.map((band, index) => gains[index] || 0);
+    this.setProcessingFeature('equalizer', this.isEqualizerActive());
+    
+    if (this.audioContext) {
+      this.equalizerNodes.forEach((filter, index) => {
+        filter.gain.setTargetAtTime(this.equalizerGains[index], this.audioContext.currentTime, EQ_GAIN_TIME_CONSTANT);
+      });
+    }
+    if (wasActive !== this.isEqualizerActive()) {
+      this.connectOutputChain();
+    }
+  }
+
+  /**
+   * Check if an element plays through the Web Audio graph
+   * Elements that are not connected use the HTML5 fallback and get no EQ or other effects.
+   * @param {HTMLMediaElement} element - Audio or video element
+   * @returns {boolean} True if the element is connected
+   */
+  isConnected(element) {
+    return this.connectedElements.has(element);
+  }
+
+  /**
+   * Get the volume of a single element
+   * @param {HTMLMediaElement} element - Audio or video element
+   * @returns {number} Volume in percent of the tab volume
+   */
+  getElementVolume(element) {
+    return this.elementVolumes.get(element) ?? ELEMENT_VOLUME_DEFAULT;
+  }
+
+  /**
+   * Set the volume of a single element, on top of the tab volume
+   * @param {HTMLMediaElement} element - Audio or video element
+   * @param {number} volume - Volume in percent of the tab volume, clamped to 0-ELEMENT_VOLUME_MAX
+   */
+  setElementVolume(element, volume) {
+    const clampedVolume = Math.min(ELEMENT_VOLUME_MAX, Math.max(0, volume));
+    this.elementVolumes.set(element, clampedVolume);
+    
+    const elementGain = this.elementGainNodes.get(element);
+    if (elementGain && this.audioContext && this.connectedElements.has(element)) {
+      elementGain.gain.setTargetAtTime(clampedVolume / VOLUME_MAX, this.audioContext.currentTime, GAIN_SMOOTHING_TIME_CONSTANT);
+    }
+  }
+
   /**
    * Check if current site is blocked from using Web Audio API
    * @returns {boolean} True if site is blocked
@@ -150,7 +402,11 @@ class AudioManager {
     
     try {
       const source = this.audioContext.createMediaElementSource(element);
-      source.connect(this.gainNode);
+      const elementGain = this.audioContext.createGain();
+      elementGain.gain.value = this.getElementVolume(element) / VOLUME_MAX;
+      source.connect(elementGain);
+      elementGain.connect(this.inputNode);
+      this.elementGainNodes.set(element, elementGain);
       this.connectedElements.add(element);
       
       // Store reference to source for tracking (but we'll never disconnect it!)
@@ -180,25 +436,70 @@ class AudioManager {
 
   /**
    * Set the gain value for amplification
+   * Gain changes are always ramped, an instant jump would click or pop.
    * @param {number} volume - Volume percentage (0-500)
+   * @param {number} [fadeTime=0] - Milliseconds of a linear fade; 0 smooths over a few milliseconds
    */
-  setGainValue(volume) {
+  setGainValue(volume, fadeTime = 0) {
     // For elements already connected to Web Audio API, we must always set the gain
     // even at default volume (100%), because the audio is permanently routed through Web Audio API
     if (this.gainNode && !this.isSiteBlocked() && this.connectedElements.size > 0) {
       // For amplification, we want to amplify based on the extension volume setting
       // The gain represents how much to amplify beyond 100%
       // For example: 200% extension volume = 2x amplification
-      this.gainNode.gain.value = volume / VOLUME_MAX;
+      const gain = this.gainNode.gain;
+      const now = this.audioContext.currentTime;
+      const gainValue = volume / VOLUME_MAX;
+      
+      // Start from the current level so a change during a running ramp does not jump
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      if (fadeTime > 0) {
+        gain.linearRampToValueAtTime(gainValue, now + fadeTime / 1000);
+      } else {
+        gain.setTargetAtTime(gainValue, now, GAIN_SMOOTHING_TIME_CONSTANT);
+      }
       
       console.log('🎚️ Tab Volume Control: Set gain value for connected elements', {
         volume,
-        gainValue: volume / VOLUME_MAX,
+        gainValue,
+        fadeTime,
         connectedCount: this.connectedElements.size
       });
     }
   }
 
+  /**
+   * Set the auto level correction
+   * @param {number} gain - Linear gain (1 = no correction)
+   */
+  setAutoGain(gain) {
+    if (!this.autoGainNode) return;
+    this.autoGainNode.gain.setTargetAtTime(gain, this.audioContext.currentTime, AUTO_LEVEL_GAIN_TIME_CONSTANT);
+  }
+
+  /**
+   * Turn a processing feature (e.g. auto level) on or off
+   * While any feature is on, media is routed through Web Audio even at the default volume.
+   * @param {string} feature - Feature name
+   * @param {boolean} active - Whether the feature is on
+   */
+  setProcessingFeature(feature, active) {
+    if (active) {
+      this.processingFeatures.add(feature);
+    } else {
+      this.processingFeatures.delete(feature);
+    }
+  }
+
+  /**
+   * Check if any processing feature needs the Web Audio graph
+   * @returns {boolean} True if media should be routed through Web Audio
+   */
+  isProcessingActive() {
+    return this.processingFeatures.size > 0;
+  }
+
   /**
    * Check if amplification is available on this site
    * @returns {boolean} True if amplification is available
@@ -246,7 +547,18 @@ class AudioManager {
         this.audioContext.close();
       } catch (e) {}
       this.audioContext = null;
+      this.inputNode = null;
+      this.analyserNode = null;
+      this.autoGainNode = null;
       this.gainNode = null;
+      this.equalizerNodes = [];
+      this.channelInputNode = null;
+      this.channelSplitterNode = null;
+      this.channelGainNodes = [];
+      this.channelMergerNode = null;
+      this.nightCompressorNode = null;
+      this.nightMakeupNode = null;
+      this.limiterNode = null;
     }
     
     // Clear connected elements tracking (but don't disconnect the actual audio sources)
@@ -6,8 +6,55 @@
 export const VOLUME_MAX = 100;
 export const VOLUME_AMPLIFICATION_THRESHOLD = 100;
 
-// Timing configuration  
+// Timing configuration (fallback until the user setting is applied)
 export const HOSTNAME_CHECK_INTERVAL = 2000;
+export const FADE_TIME = 150;
+
+// Volume smoothing
+export const GAIN_SMOOTHING_TIME_CONSTANT = 0.015; // Seconds, for small gain changes while dragging
+export const HTML5_SMOOTHING_TIME = 50; // Milliseconds, the HTML5 fallback equivalent
+export const HTML5_FADE_STEP_INTERVAL = 16; // Milliseconds between element.volume steps
+export const VOLUME_JUMP_THRESHOLD = 25; // Changes of at least this many percent use the fade time
+
+// Auto level (loudness normalization)
+export const AUTO_LEVEL_INTERVAL = 100; // Milliseconds between level measurements
+export const AUTO_LEVEL_LEVEL_TIME_CONSTANT = 3000; // Milliseconds of audio the short-term level covers
+export const AUTO_LEVEL_SILENCE_THRESHOLD = -60; // dBFS below which the correction is held, so pauses are not boosted
+export const AUTO_LEVEL_MAX_CUT = 24; // dB the correction may lower loud audio
+export const AUTO_LEVEL_GAIN_TIME_CONSTANT = 0.05; // Seconds, smooths the correction between measurements
+export const ANALYSER_FFT_SIZE = 2048;
+
+// Auto level fallbacks until the user settings are applied
+export const AUTO_LEVEL_TARGET = -20; // dBFS
+export const AUTO_LEVEL_MAX_BOOST = 12; // dB
+export const AUTO_LEVEL_ATTACK = 500; // Milliseconds
+export const AUTO_LEVEL_RELEASE = 3000; // Milliseconds
+
+// Dynamics (limiter and night mode), DynamicsCompressorNode parameters with times in seconds
+export const LIMITER_SETTINGS = { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 };
+export const NIGHT_MODE_SETTINGS = { threshold: -35, knee: 12, ratio: 6, attack: 0.01, release: 0.3 };
+export const NIGHT_MODE_MAKEUP_GAIN = 2.5; // About +8 dB, brings compressed dialogue back up
+
+// Equalizer bands, kept in sync with EQUALIZER.BANDS in src/shared/equalizer.js
+export const EQ_BANDS = [
+  { type: 'lowshelf', frequency: 60 },
+  { type: 'peaking', frequency: 250 },
+  { type: 'peaking', frequency: 1000 },
+  { type: 'peaking', frequency: 4000 },
+  { type: 'highshelf', frequency: 12000 }
+];
+export const EQ_Q = 1; // Width of the peaking bands
+export const EQ_GAIN_TIME_CONSTANT = 0.02; // Seconds, smooths gain changes while a band is dragged
+
+// Playback speed
+export const DEFAULT_PLAYBACK_RATE = 1;
+export const PLAYBACK_RATE_MIN = 0.25;
+export const PLAYBACK_RATE_MAX = 4;
+
+// Per-element volume
+export const ELEMENT_VOLUME_DEFAULT = 100;
+export const ELEMENT_VOLUME_MAX = 200; // Percent of the tab volume
+export const ELEMENT_LABEL_MAX_LENGTH = 60;
 
 // Media element selectors for scanning
 export const ADDITIONAL_SELECTORS = [
@@ -0,0 +1,141 @@
+/**
+ * LoudnessNormalizer - Auto level: measures the short-term level of the tab's Web Audio graph
+ * and slowly corrects it towards a target level
+ */
+
+import {
+  AUTO_LEVEL_INTERVAL,
+  AUTO_LEVEL_LEVEL_TIME_CONSTANT,
+  AUTO_LEVEL_SILENCE_THRESHOLD,
+  AUTO_LEVEL_MAX_CUT,
+  AUTO_LEVEL_TARGET,
+  AUTO_LEVEL_MAX_BOOST,
+  AUTO_LEVEL_ATTACK,
+  AUTO_LEVEL_RELEASE
+} from './constants.js';
+
+class LoudnessNormalizer {
+  constructor(audioManager) {
+    this.audioManager = audioManager;
+    this.enabled = false;
+    this.target = AUTO_LEVEL_TARGET;
+    this.maxBoost = AUTO_LEVEL_MAX_BOOST;
+    this.attack = AUTO_LEVEL_ATTACK;
+    this.release = AUTO_LEVEL_RELEASE;
+    this.intervalId = null;
+    this.analyserNode = null; // Analyser the measurements below belong to
+    this.samples = null;
+    this.meanSquare = null; // Averaged power of the audio that is not silent
+    this.correction = 0; // Applied correction in dB
+  }
+
+  /**
+   * Turn auto level on or off
+   * @param {boolean} enabled - Whether auto level is on
+   */
+  setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    this.audioManager.setProcessingFeature('autoLevel', enabled);
+
+    if (enabled) {
+      this.intervalId = setInterval(() => this.update(), AUTO_LEVEL_INTERVAL);
+    } else {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.resetMeasurement();
+      this.audioManager.setAutoGain(1);
+    }
+  }
+
+  /**
+   * Apply the user's auto level settings
+   * @param {Object} options - Options ({ target, maxBoost, attack, release }), levels in dB, times in milliseconds
+   */
+  setOptions({ target, maxBoost, attack, release }) {
+    this.target = target;
+    this.maxBoost = maxBoost;
+    this.attack = attack;
+    this.release = release;
+  }
+
+  /**
+   * Forget the measured level and correction, e.g. when the audio graph was rebuilt
+   */
+  resetMeasurement() {
+    this.analyserNode = null;
+    this.samples = null;
+    this.meanSquare = null;
+    this.correction = 0;
+  }
+
+  /**
+   * Measure the latest block of audio and move the correction towards the target
+   */
+  update() {
+    const analyserNode = this.audioManager.analyserNode;
+    if (!analyserNode) return;
+
+    // The graph is rebuilt after navigation, start over with the new analyser
+    if (analyserNode !== this.analyserNode) {
+      this.resetMeasurement();
+      this.analyserNode = analyserNode;
+      this.samples = new Float32Array(analyserNode.fftSize);
+    }
+
+    analyserNode.getFloatTimeDomainData(this.samples);
+    let sum = 0;
+    for (const sample of this.samples) {
+      sum += sample * sample;
+    }
+    const blockMeanSquare = sum / this.samples.length;
+
+    // Silent blocks (pauses, gaps between tracks) are left out, so they are not boosted
+    if (this.toDecibels(blockMeanSquare) < AUTO_LEVEL_SILENCE_THRESHOLD) return;
+
+    const levelWeight = 1 - Math.exp(-AUTO_LEVEL_INTERVAL / AUTO_LEVEL_LEVEL_TIME_CONSTANT);
+    this.meanSquare = this.meanSquare === null
+      ? blockMeanSquare
+      : this.meanSquare + (blockMeanSquare - this.meanSquare) * levelWeight;
+
+    const desired = Math.min(this.maxBoost, Math.max(-AUTO_LEVEL_MAX_CUT, this.target - this.getLevel()));
+    // Turn down quickly (attack) and back up slowly (release)
+    const time = desired < this.correction ? this.attack : this.release;
+    this.correction += (desired - this.correction) * (1 - Math.exp(-AUTO_LEVEL_INTERVAL / time));
+    this.audioManager.setAutoGain(Math.pow(10, this.correction / 20));
+  }
+
+  /**
+   * Convert a mean square value to decibels relative to full scale
+   * @param {number} meanSquare - Mean square of the samples
+   * @returns {number} Level in dBFS
+   */
+  toDecibels(meanSquare) {
+    return meanSquare > 0 ? 10 * Math.log10(meanSquare) : -Infinity;
+  }
+
+  /**
+   * Get the measured short-term level
+   * @returns {number|null} Level in dBFS, or null before any audio was measured
+   */
+  getLevel() {
+    return this.meanSquare === null ? null : this.toDecibels(this.meanSquare);
+  }
+
+  /**
+   * Get the state shown in the popup
+   * @returns {Object} Status ({ enabled, available, level, correction }), levels rounded to 0.1 dB
+   */
+  getStatus() {
+    const level = this.getLevel();
+    return {
+      enabled: this.enabled,
+      // Auto level needs the Web Audio graph, the HTML5 fallback cannot be measured
+      available: !this.audioManager.isSiteBlocked() && this.audioManager.getConnectedElementsCount() > 0,
+      level: level === null ? null : Math.round(level * 10) / 10,
+      correction: Math.round(this.correction * 10) / 10
+    };
+  }
+}
+
+export default LoudnessNormalizer;
@@ -2,10 +2,15 @@
  * MediaElementRegistry - Manages tracking and lifecycle of media elements
  */
 
+import { ELEMENT_LABEL_MAX_LENGTH } from './constants.js';
+
 class MediaElementRegistry {
-  constructor(volumeController) {
+  constructor(volumeController, playbackRateController) {
     this.mediaElements = new Set();
     this.volumeController = volumeController;
+    this.playbackRateController = playbackRateController;
+    this.elementIds = new WeakMap(); // Element -> ID the popup uses to address it
+    this.nextElementId = 1;
   }
 
   /**
@@ -15,12 +20,18 @@ class MediaElementRegistry {
   registerMediaElement(element) {
     if ((element.tagName === 'AUDIO' || element.tagName === 'VIDEO') && !this.mediaElements.has(element)) {
       this.mediaElements.add(element);
+      if (!this.elementIds.has(element)) {
+        this.elementIds.set(element, this.nextElementId++);
+      }
       
       // Apply current volume to the element
       // The volumeController.applyVolumeToElement will handle the 100% volume optimization
       if (this.volumeController) {
         this.volumeController.applyVolumeToElement(element);
       }
+      if (this.playbackRateController) {
+        this.playbackRateController.applyToElement(element);
+      }
       
       // Set up event listeners
       this.setupElementEventListeners(element);
@@ -37,6 +48,10 @@ class MediaElementRegistry {
       if (this.volumeController) {
         this.volumeController.applyVolumeToElement(element);
       }
+      // Sites often reset playbackRate when they (re)start playback
+      if (this.playbackRateController) {
+        this.playbackRateController.applyToElement(element);
+      }
     });
     
     // Note: We don't clean up on 'ended' or 'error' events for elements still in DOM
@@ -72,6 +87,76 @@ class MediaElementRegistry {
     return this.mediaElements.size;
   }
 
+  /**
+   * Get the ID of a registered element
+   * @param {HTMLMediaElement} element - Registered element
+   * @returns {number} Element ID, stable for as long as the page keeps the element
+   */
+  getElementId(element) {
+    return this.elementIds.get(element);
+  }
+
+  /**
+   * Find a registered element by its ID
+   * @param {number} elementId - Element ID
+   * @returns {HTMLMediaElement|null} Element, or null if it is no longer registered
+   */
+  findElement(elementId) {
+    for (const element of this.mediaElements) {
+      if (this.elementIds.get(element) === elementId) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the file name at the end of a media URL
+   * @param {string} url - Media or poster URL
+   * @returns {string|null} Decoded file name, or null for URLs without one (e.g. blob: streams)
+   */
+  getFileName(url) {
+    if (!url || url.startsWith('blob:') || url.startsWith('data:')) return null;
+    try {
+      const segments = new URL(url, document.baseURI).pathname.split('/').filter(Boolean);
+      return segments.length > 0 ? decodeURIComponent(segments[segments.length - 1]) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get text near an element that describes it, e.g. a caption or the heading of its player
+   * @param {HTMLMediaElement} element - Audio or video element
+   * @returns {string|null} Nearby text, or null if there is none
+   */
+  getNearbyText(element) {
+    const caption = element.closest('figure')?.querySelector('figcaption');
+    let container = caption || element.parentElement;
+    // Walk up a few levels until there is some text, the element itself has none
+    for (let depth = 0; container && depth < 3; depth++) {
+      const text = container.textContent.replace(/\s+/g, ' ').trim();
+      if (text) return text;
+      container = container.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Get a label the popup can show for an element
+   * Uses the element's title, its source or poster file name, or nearby text, in that order.
+   * @param {HTMLMediaElement} element - Audio or video element
+   * @returns {string} Label
+   */
+  getElementLabel(element) {
+    const label = element.title || element.getAttribute('aria-label') ||
+                  this.getFileName(element.currentSrc || element.src || element.querySelector('source')?.src) ||
+                  (element.tagName === 'VIDEO' ? this.getFileName(element.poster) : null) ||
+                  this.getNearbyText(element) ||
+                  `${element.tagName.toLowerCase()} ${this.getElementId(element)}`;
+    return label.length > ELEMENT_LABEL_MAX_LENGTH ? `${label.slice(0, ELEMENT_LABEL_MAX_LENGTH - 1)}…` : label;
+  }
+
   /**
    * Check if element is registered
    * @param {HTMLMediaElement} element - Element to check
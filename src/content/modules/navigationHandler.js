@@ -12,6 +12,15 @@ class NavigationHandler {
     this.mediaScanner = mediaScanner;
     this.currentHostname = window.location.hostname.toLowerCase();
     this.navigationCheckTimeoutId = null;
+    this.checkInterval = HOSTNAME_CHECK_INTERVAL;
+  }
+
+  /**
+   * Set how often to check for hostname changes
+   * @param {number} interval - Check interval in milliseconds
+   */
+  setCheckInterval(interval) {
+    this.checkInterval = interval;
   }
 
   /**
@@ -34,7 +43,7 @@ class NavigationHandler {
     // Schedule next check
     this.navigationCheckTimeoutId = setTimeout(() => {
       this.checkForHostnameChange();
-    }, HOSTNAME_CHECK_INTERVAL);
+    }, this.checkInterval);
   }
 
   /**
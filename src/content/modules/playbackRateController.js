@@ -0,0 +1,78 @@
+/**
+ * PlaybackRateController - Applies the tab's playback speed and pitch setting to its media elements
+ */
+
+import {
+  DEFAULT_PLAYBACK_RATE,
+  PLAYBACK_RATE_MIN,
+  PLAYBACK_RATE_MAX
+} from './constants.js';
+
+class PlaybackRateController {
+  constructor() {
+    this.rate = DEFAULT_PLAYBACK_RATE;
+    this.preservePitch = true;
+    this.active = false; // Only enforce the speed once the user changed it, sites may have their own speed controls
+  }
+
+  /**
+   * Set the playback speed for all media elements
+   * @param {number} rate - Playback rate, clamped to PLAYBACK_RATE_MIN-PLAYBACK_RATE_MAX
+   * @param {boolean} preservePitch - Keep the pitch when the speed changes
+   * @param {MediaElementRegistry} mediaRegistry - Registry of media elements
+   */
+  setRate(rate, preservePitch, mediaRegistry) {
+    const wasActive = this.active;
+    this.rate = Math.min(PLAYBACK_RATE_MAX, Math.max(PLAYBACK_RATE_MIN, rate));
+    this.preservePitch = preservePitch;
+    this.active = this.rate !== DEFAULT_PLAYBACK_RATE || !preservePitch;
+
+    // Going back to normal speed is applied once, then the elements are left to the site
+    if (this.active || wasActive) {
+      mediaRegistry.getMediaElements().forEach(element => this.setElementRate(element));
+    }
+  }
+
+  /**
+   * Apply the speed to an element, e.g. when it starts playing, since sites reset playbackRate
+   * @param {HTMLMediaElement} element - Audio or video element
+   */
+  applyToElement(element) {
+    if (this.active) {
+      this.setElementRate(element);
+    }
+  }
+
+  /**
+   * Set the playback rate and pitch setting of an element
+   * @param {HTMLMediaElement} element - Audio or video element
+   */
+  setElementRate(element) {
+    try {
+      if ('preservesPitch' in element) {
+        element.preservesPitch = this.preservePitch;
+      } else if ('mozPreservesPitch' in element) {
+        element.mozPreservesPitch = this.preservePitch;
+      }
+      if (element.playbackRate !== this.rate) {
+        element.playbackRate = this.rate;
+      }
+    } catch (error) {
+      console.warn('Tab Volume Control: Failed to set playback rate', {
+        element: element.tagName,
+        rate: this.rate,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the current playback speed
+   * @returns {number} Playback rate
+   */
+  getRate() {
+    return this.rate;
+  }
+}
+
+export default PlaybackRateController;
@@ -2,23 +2,101 @@
  * VolumeController - Handles volume application logic and coordination
  */
 
-import { VOLUME_MAX, VOLUME_AMPLIFICATION_THRESHOLD, DEFAULT_VOLUME } from './constants.js';
+import {
+  VOLUME_MAX,
+  VOLUME_AMPLIFICATION_THRESHOLD,
+  DEFAULT_VOLUME,
+  FADE_TIME,
+  HTML5_SMOOTHING_TIME,
+  HTML5_FADE_STEP_INTERVAL,
+  VOLUME_JUMP_THRESHOLD,
+  ELEMENT_VOLUME_DEFAULT
+} from './constants.js';
 
 class VolumeController {
   constructor(audioManager) {
     this.audioManager = audioManager;
     this.currentVolume = DEFAULT_VOLUME;
+    this.fadeTime = FADE_TIME;
+    this.elementFades = new WeakMap(); // Running HTML5 fallback fades by element
+  }
+
+  /**
+   * Set how long mute, unmute and preset jumps fade
+   * @param {number} fadeTime - Fade time in milliseconds
+   */
+  setFadeTime(fadeTime) {
+    this.fadeTime = fadeTime;
+  }
+
+  /**
+   * Get the fade time for a volume change
+   * Small steps (e.g. while dragging a slider) are only smoothed, larger jumps fade.
+   * @param {number} fromVolume - Previous volume percentage
+   * @param {number} toVolume - New volume percentage
+   * @returns {number} Fade time in milliseconds, 0 for smoothing only
+   */
+  getFadeTime(fromVolume, toVolume) {
+    const isMuteToggle = (fromVolume === 0) !== (toVolume === 0);
+    const isJump = Math.abs(toVolume - fromVolume) >= VOLUME_JUMP_THRESHOLD;
+    return isMuteToggle || isJump ? this.fadeTime : 0;
+  }
+
+  /**
+   * Fade the HTML5 volume of an element in steps, replacing any fade still running
+   * @param {HTMLMediaElement} element - Element to fade
+   * @param {number} targetVolume - Target element volume (0-1)
+   * @param {number} fadeTime - Fade time in milliseconds, 0 for smoothing only
+   */
+  fadeElementVolume(element, targetVolume, fadeTime) {
+    clearInterval(this.elementFades.get(element));
+    this.elementFades.delete(element);
+    
+    const startVolume = element.volume;
+    const steps = Math.round((fadeTime || HTML5_SMOOTHING_TIME) / HTML5_FADE_STEP_INTERVAL);
+    if (steps <= 1 || startVolume === targetVolume) {
+      element.volume = targetVolume;
+      return;
+    }
+    
+    let step = 0;
+    const intervalId = setInterval(() => {
+      step++;
+      // Set the last step exactly, rounding could leave it just outside 0-1
+      element.volume = step >= steps
+        ? targetVolume
+        : startVolume + (targetVolume - startVolume) * (step / steps);
+      if (step >= steps) {
+        clearInterval(intervalId);
+        this.elementFades.delete(element);
+      }
+    }, HTML5_FADE_STEP_INTERVAL);
+    this.elementFades.set(element, intervalId);
+  }
+
+  /**
+   * Get the HTML5 volume for an element that cannot use Web Audio
+   * The element's own volume is applied on top of the tab volume, limited to 100%.
+   * @param {HTMLMediaElement} element - Audio or video element
+   * @param {number} volume - Tab volume percentage
+   * @returns {number} Volume percentage to apply (0-100)
+   */
+  getFallbackVolume(element, volume) {
+    const elementVolume = this.audioManager.getElementVolume(element);
+    return Math.min(volume * elementVolume / VOLUME_MAX, VOLUME_AMPLIFICATION_THRESHOLD);
   }
 
   /**
    * Apply volume to a specific media element
    * @param {HTMLMediaElement} element - Element to apply volume to
    * @param {number} volume - Volume percentage (optional, uses current volume if not provided)
+   * @param {number} [fadeTime=0] - Fade time in milliseconds, 0 for smoothing only
    */
-  applyVolumeToElement(element, volume = this.currentVolume) {
+  applyVolumeToElement(element, volume = this.currentVolume, fadeTime = 0) {
     // If volume is at the default level AND element has never been connected to Web Audio API,
     // don't manipulate the audio at all - this ensures zero impact when no volume change is needed
-    if (volume === DEFAULT_VOLUME && !element._audioSource) {
+    if (volume === DEFAULT_VOLUME && !element._audioSource && !this.audioManager.isProcessingActive() &&
+        this.audioManager.getElementVolume(element) === ELEMENT_VOLUME_DEFAULT) {
       console.log('🔇 Tab Volume Control: No volume manipulation needed (default volume, not connected)', {
         element: element.tagName,
         volume
@@ -37,7 +115,7 @@ class VolumeController {
       // We still need to set the gain to 1.0 (100%) for this already-connected element
       // Don't try to connect again, just ensure gain is correct
       if (this.audioManager.audioContext && this.audioManager.gainNode) {
-        this.audioManager.setGainValue(volume);
+        this.audioManager.setGainValue(volume, fadeTime);
       }
       return;
     }
@@ -48,8 +126,8 @@ class VolumeController {
     // Early check for cross-origin or blocked sites
     if (this.audioManager.shouldBlockAmplification(element)) {
       // Fallback: Use HTML5 volume property, but limit to 0-100% range
-      const clampedVolume = Math.min(volume, VOLUME_AMPLIFICATION_THRESHOLD);
-      element.volume = clampedVolume / VOLUME_MAX;
+      const clampedVolume = this.getFallbackVolume(element, volume);
+      this.fadeElementVolume(element, clampedVolume / VOLUME_MAX, fadeTime);
       
       console.log('📉 Tab Volume Control: Using HTML5 fallback (0-100% only)', {
         element: element.tagName,
@@ -63,8 +141,8 @@ class VolumeController {
     // Initialize audio context if needed
     if (!this.audioManager.audioContext && !this.audioManager.initAudioContext()) {
       // Fallback: Use HTML5 volume property, but limit to 0-100% range
-      const clampedVolume = Math.min(volume, VOLUME_AMPLIFICATION_THRESHOLD);
-      element.volume = clampedVolume / VOLUME_MAX;
+      const clampedVolume = this.getFallbackVolume(element, volume);
+      this.fadeElementVolume(element, clampedVolume / VOLUME_MAX, fadeTime);
       
       console.log('📉 Tab Volume Control: Using HTML5 fallback (0-100% only)', {
         element: element.tagName,
@@ -80,8 +158,8 @@ class VolumeController {
       const connected = this.audioManager.tryConnectToAudioContext(element);
       if (!connected) {
         // If connection failed, fallback to HTML5 volume property (0-100% only)
-        const clampedVolume = Math.min(volume, VOLUME_AMPLIFICATION_THRESHOLD);
-        element.volume = clampedVolume / VOLUME_MAX;
+        const clampedVolume = this.getFallbackVolume(element, volume);
+        this.fadeElementVolume(element, clampedVolume / VOLUME_MAX, fadeTime);
         
         console.log('📉 Tab Volume Control: Using HTML5 fallback (0-100% only)', {
           element: element.tagName,
@@ -106,6 +184,7 @@ class VolumeController {
    * @param {MediaElementRegistry} mediaRegistry - Registry of media elements
    */
   setVolume(volume, mediaRegistry) {
+    const fadeTime = this.getFadeTime(this.currentVolume, volume);
     this.currentVolume = volume;
     
     // Check if we have any elements already connected to Web Audio API
@@ -113,7 +192,7 @@ class VolumeController {
     
     // If volume is at the default level AND no elements are connected to Web Audio API,
     // don't manipulate any audio - let the browser handle it natively
-    if (volume === DEFAULT_VOLUME && !hasConnectedElements) {
+    if (volume === DEFAULT_VOLUME && !hasConnectedElements && !this.audioManager.isProcessingActive()) {
       console.log('🔇 Tab Volume Control: No audio manipulation needed (default volume, no connections)');
       
       // Call site-specific handler if available (in case it needs to clean up)
@@ -135,14 +214,14 @@ class VolumeController {
     // Apply volume to all registered media elements
     if (mediaRegistry) {
       mediaRegistry.applyToAllElements((element) => {
-        this.applyVolumeToElement(element, volume);
+        this.applyVolumeToElement(element, volume, fadeTime);
       });
     }
     
     // Set gain for Web Audio API (only if we have connected elements and site isn't blocked)
     // For sites that don't support Web Audio API, volume is handled in applyVolumeToElement
     if (!this.audioManager.isSiteBlocked() && this.audioManager.getConnectedElementsCount() > 0) {
-      this.audioManager.setGainValue(volume);
+      this.audioManager.setGainValue(volume, fadeTime);
     }
     
     // Call site-specific handler if available
@@ -155,6 +234,17 @@ class VolumeController {
     }
   }
 
+  /**
+   * Get the elements that play through the HTML5 fallback rather than Web Audio
+   * @param {MediaElementRegistry} mediaRegistry - Registry of media elements
+   * @returns {Array<HTMLMediaElement>} Fallback elements, none while media is left to play natively
+   */
+  getFallbackElements(mediaRegistry) {
+    const routed = this.currentVolume !== DEFAULT_VOLUME || this.audioManager.isProcessingActive();
+    if (!routed) return [];
+    return [...mediaRegistry.getMediaElements()].filter(element => !this.audioManager.isConnected(element));
+  }
+
   /**
    * Get current volume
    * @returns {number} Current volume percentage
@@ -0,0 +1,70 @@
+/**
+ * Firefox Tab Volume Control - Equalizer
+ * EQ bands, gain range and built-in presets shared by the background and popup.
+ * Loaded as a plain script in the background and popup.
+ */
+
+const EQUALIZER = {
+  // Kept in sync with EQ_BANDS in the content script constants
+  BANDS: [
+    { frequency: 60, label: '60' },
+    { frequency: 250, label: '250' },
+    { frequency: 1000, label: '1k' },
+    { frequency: 4000, label: '4k' },
+    { frequency: 12000, label: '12k' }
+  ],
+  MIN_GAIN: -12,
+  MAX_GAIN: 12,
+  MAX_CUSTOM_PRESETS: 20,
+  MAX_NAME_LENGTH: 40,
+
+  // Gains in dB, one per band
+  PRESETS: {
+    'Flat': [0, 0, 0, 0, 0],
+    'Voice Boost': [-4, -1, 3, 4, 1],
+    'Bass Boost': [6, 3, 0, 0, 0],
+    'Treble Cut': [0, 0, 0, -4, -8]
+  },
+
+  /**
+   * Check if a value is a valid EQ curve
+   * @param {*} gains - Value to check
+   * @returns {boolean} True for one gain in range per band
+   */
+  isValidCurve(gains) {
+    return Array.isArray(gains) && gains.length === EQUALIZER.BANDS.length &&
+           gains.every(gain => typeof gain === 'number' && Number.isFinite(gain) &&
+                               gain >= EQUALIZER.MIN_GAIN && gain <= EQUALIZER.MAX_GAIN);
+  },
+
+  /**
+   * Check if a curve leaves the audio unchanged
+   * @param {Array<number>} gains - Gains in dB
+   * @returns {boolean} True if every band is at 0 dB
+   */
+  isFlat(gains) {
+    return gains.every(gain => gain === 0);
+  },
+
+  /**
+   * Find the preset a curve matches
+   * @param {Array<number>} gains - Gains in dB
+   * @param {Object} [customPresets] - Custom curves by name
+   * @returns {string|null} Preset name, or null for a curve that matches none
+   */
+  findPreset(gains, customPresets = {}) {
+    const presets = { ...EQUALIZER.PRESETS, ...customPresets };
+    const match = Object.entries(presets).find(([, preset]) => {
+      return preset.every((gain, index) => gain === gains[index]);
+    });
+    return match ? match[0] : null;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EQUALIZER;
+} else {
+  // Browser environment
+  window.EQUALIZER = EQUALIZER;
+}
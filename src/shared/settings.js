@@ -0,0 +1,436 @@
+/**
+ * Firefox Tab Volume Control - Settings
+ * Typed settings schema with defaults, backed by browser.storage.local.
+ * Loaded as a plain script in the background, content script, popup and options page.
+ */
+
+/**
+ * Settings schema
+ * Each entry describes the type, default value, valid range and how the option is shown
+ * on the options page (label, description and section).
+ */
+const SETTINGS_SCHEMA = {
+  defaultVolume: {
+    type: 'number', default: 100, min: 0, max: 500, step: 5, unit: '%',
+    section: 'Volume', label: 'Default volume',
+    description: 'Volume for tabs without a remembered or rule-based level'
+  },
+  rememberSiteVolumes: {
+    type: 'boolean', default: true,
+    section: 'Volume', label: 'Remember volume per website',
+    description: 'Apply the last volume you set on a site to new tabs and visits'
+  },
+  rememberSiteVolumesPerContainer: {
+    type: 'boolean', default: true,
+    section: 'Containers', label: 'Remember site volumes per container',
+    description: 'Keep a separate remembered volume for a site in each Multi-Account Container'
+  },
+  // Edited by ContainerVolumesEditor on the options page rather than a generated row
+  containerDefaultVolumes: {
+    type: 'volumeMap', default: {}, maxItems: 100, min: 0, max: 500
+  },
+  rememberSiteSpeeds: {
+    type: 'boolean', default: true,
+    section: 'Playback speed', label: 'Remember speed per website',
+    description: 'Apply the last playback speed you set on a site to new tabs and visits'
+  },
+  privateDefaultVolumeEnabled: {
+    type: 'boolean', default: false,
+    section: 'Private browsing', label: 'Separate default for private windows',
+    description: 'Private tabs never store volumes; they start at the volume below instead of the default'
+  },
+  privateDefaultVolume: {
+    type: 'number', default: 100, min: 0, max: 500, step: 5, unit: '%',
+    section: 'Private browsing', label: 'Private default volume',
+    description: 'Default volume for tabs in private windows'
+  },
+  volumePresets: {
+    type: 'numberList', default: [0, 100, 200, 500], length: 4, min: 0, max: 500, unit: '%',
+    section: 'Volume', label: 'Preset buttons',
+    description: 'Volume levels of the four preset buttons in the popup'
+  },
+  fadeTime: {
+    type: 'number', default: 150, min: 0, max: 2000, step: 50, unit: 'ms',
+    section: 'Volume', label: 'Fade time',
+    description: 'How long muting, unmuting and preset jumps take to fade; 0 switches almost instantly'
+  },
+  autoLevelTarget: {
+    type: 'number', default: -20, min: -40, max: -6, step: 1, unit: 'dB',
+    section: 'Auto level', label: 'Target level',
+    description: 'Short-term level that tabs with auto level on are brought towards'
+  },
+  autoLevelMaxBoost: {
+    type: 'number', default: 12, min: 0, max: 30, step: 1, unit: 'dB',
+    section: 'Auto level', label: 'Maximum boost',
+    description: 'Most that auto level raises quiet audio, on top of the tab volume'
+  },
+  autoLevelAttack: {
+    type: 'number', default: 500, min: 50, max: 10000, step: 50, unit: 'ms',
+    section: 'Auto level', label: 'Attack',
+    description: 'How quickly auto level turns down audio that gets louder'
+  },
+  autoLevelRelease: {
+    type: 'number', default: 3000, min: 100, max: 30000, step: 100, unit: 'ms',
+    section: 'Auto level', label: 'Release',
+    description: 'How quickly auto level turns up audio that gets quieter'
+  },
+  alwaysMono: {
+    type: 'boolean', default: false,
+    section: 'Stereo', label: 'Always mono',
+    description: 'Mix the left and right channels of every tab together, e.g. for a single earbud'
+  },
+  // Custom EQ curves saved from the popup, limits match EQUALIZER in equalizer.js
+  equalizerPresets: {
+    type: 'curveMap', default: {}, maxItems: 20, maxNameLength: 40, length: 5, min: -12, max: 12
+  },
+  volumeStep: {
+    type: 'number', default: 10, min: 1, max: 100, step: 1, unit: '%',
+    section: 'Keyboard shortcuts', label: 'Volume step',
+    description: 'How much the volume up and down shortcuts change the active tab'
+  },
+  showBadge: {
+    type: 'boolean', default: true,
+    section: 'Toolbar', label: 'Show volume on toolbar button',
+    description: 'Show the tab\'s volume as a badge when it is not 100%'
+  },
+  focusMode: {
+    type: 'boolean', default: false,
+    section: 'Focus mode', label: 'Focus mode',
+    description: 'Lower every audio tab except the active one'
+  },
+  focusPerWindow: {
+    type: 'boolean', default: true,
+    section: 'Focus mode', label: 'Keep the active tab of every window audible',
+    description: 'When off, only the active tab of the focused window stays audible'
+  },
+  focusBackgroundVolume: {
+    type: 'number', default: 0, min: 0, max: 100, step: 5, unit: '%',
+    section: 'Focus mode', label: 'Background tab volume',
+    description: 'Highest volume for tabs in the background, 0 mutes them'
+  },
+  duckingPatterns: {
+    type: 'stringList', default: [], maxItems: 50, maxLength: 500,
+    placeholder: '*://meet.google.com/*',
+    section: 'Ducking', label: 'Priority sites',
+    description: 'One URL pattern per line (* matches anything). Other audio tabs are lowered while a matching tab plays'
+  },
+  duckingVolume: {
+    type: 'number', default: 20, min: 0, max: 100, step: 5, unit: '%',
+    section: 'Ducking', label: 'Ducked volume',
+    description: 'Highest volume for other tabs while a priority tab plays'
+  },
+  duckingRestoreDelay: {
+    type: 'number', default: 2000, min: 0, max: 60000, step: 500, unit: 'ms',
+    section: 'Ducking', label: 'Restore after',
+    description: 'How long to wait after the priority tab goes quiet before restoring the other tabs'
+  },
+  quietHoursEnabled: {
+    type: 'boolean', default: false,
+    section: 'Quiet hours', label: 'Quiet hours',
+    description: 'Cap the volume of every tab during the times below'
+  },
+  quietHoursVolume: {
+    type: 'number', default: 30, min: 0, max: 100, step: 5, unit: '%',
+    section: 'Quiet hours', label: 'Highest volume',
+    description: 'Tabs set above this level play at this level during quiet hours'
+  },
+  // Edited by QuietHoursEditor on the options page rather than a generated row
+  quietHoursSchedule: {
+    type: 'schedule', default: [{ days: [0, 1, 2, 3, 4, 5, 6], start: '22:00', end: '07:00' }], maxItems: 10
+  },
+  externalApiAllowlist: {
+    type: 'stringList', default: [], maxItems: 50, maxLength: 200,
+    placeholder: 'automation@example.com',
+    section: 'External API', label: 'Allowed extensions',
+    description: 'One extension ID per line. Only these extensions can list audio tabs and read or change their volume'
+  },
+  removalDelay: {
+    type: 'number', default: 3000, min: 0, max: 60000, step: 500, unit: 'ms',
+    section: 'Tab list', label: 'Keep silent tabs for',
+    description: 'How long a tab stays in the list after it stops playing'
+  },
+  initialScanDelay: {
+    type: 'number', default: 1000, min: 0, max: 10000, step: 100, unit: 'ms',
+    section: 'Media detection', label: 'First scan delay',
+    description: 'Delay before the first scan for media elements on a page'
+  },
+  scanInterval: {
+    type: 'number', default: 5000, min: 1000, max: 60000, step: 500, unit: 'ms',
+    section: 'Media detection', label: 'Scan interval',
+    description: 'How often pages are scanned for new media elements'
+  },
+  hostnameCheckInterval: {
+    type: 'number', default: 2000, min: 500, max: 30000, step: 500, unit: 'ms',
+    section: 'Media detection', label: 'Navigation check interval',
+    description: 'How often single-page sites are checked for navigation to another site'
+  }
+};
+
+class Settings {
+  constructor() {
+    // State management
+    this.values = Settings.getDefaults();
+    this.listeners = [];
+    this.writeQueue = Promise.resolve(); // Writes of this instance, in the order set() was called
+    this.pendingWrites = []; // Serialized values written by this instance, not yet seen in storage.onChanged
+
+    // Constants
+    this.STORAGE_KEY = 'settings';
+
+    // Bind methods to preserve context
+    this.handleStorageChanged = this.handleStorageChanged.bind(this);
+
+    // React to changes made from any other extension page
+    browser.storage.onChanged.addListener(this.handleStorageChanged);
+
+    // Resolves once settings have been read from storage
+    this.loaded = this.load();
+  }
+
+  /**
+   * Get the default values of all settings
+   * @returns {Object} Map of setting key to default value
+   */
+  static getDefaults() {
+    const defaults = {};
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, definition]) => {
+      defaults[key] = Settings.copyValue(definition.default);
+    });
+    return defaults;
+  }
+
+  /**
+   * Copy a setting value so callers cannot mutate stored state
+   * @param {*} value - Setting value
+   * @returns {*} Copy of the value
+   */
+  static copyValue(value) {
+    return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Validate a setting value against the schema
+   * @param {string} key - Setting key
+   * @param {*} value - Value to validate
+   * @returns {boolean} True if the value is valid
+   */
+  static isValid(key, value) {
+    const definition = SETTINGS_SCHEMA[key];
+    if (!definition) return false;
+
+    switch (definition.type) {
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value) &&
+               value >= definition.min && value <= definition.max;
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'numberList':
+        return Array.isArray(value) && value.length === definition.length &&
+               value.every(item => typeof item === 'number' && Number.isFinite(item) &&
+                                   item >= definition.min && item <= definition.max);
+      case 'volumeMap':
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+               Object.keys(value).length <= definition.maxItems &&
+               Object.values(value).every(volume => typeof volume === 'number' && Number.isFinite(volume) &&
+                                                    volume >= definition.min && volume <= definition.max);
+      case 'curveMap':
+        return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+               Object.keys(value).length <= definition.maxItems &&
+               Object.entries(value).every(([name, curve]) => {
+                 return name.length > 0 && name.length <= definition.maxNameLength &&
+                        Array.isArray(curve) && curve.length === definition.length &&
+                        curve.every(gain => typeof gain === 'number' && Number.isFinite(gain) &&
+                                            gain >= definition.min && gain <= definition.max);
+               });
+      case 'schedule':
+        return Array.isArray(value) && value.length <= definition.maxItems &&
+               value.every(range => Settings.isValidTimeRange(range));
+      case 'stringList':
+        return Array.isArray(value) && value.length <= definition.maxItems &&
+               value.every(item => typeof item === 'string' && item.length > 0 &&
+                                   item.length <= definition.maxLength);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validate a schedule time range
+   * A range whose end is before its start runs past midnight into the next day.
+   * @param {Object} range - Time range ({ days: [0-6, Sunday first], start: 'HH:MM', end: 'HH:MM' })
+   * @returns {boolean} True if the range is valid
+   */
+  static isValidTimeRange(range) {
+    const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    return range !== null && typeof range === 'object' &&
+           Array.isArray(range.days) && range.days.length > 0 &&
+           range.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+           new Set(range.days).size === range.days.length &&
+           timePattern.test(range.start) && timePattern.test(range.end) &&
+           range.start !== range.end;
+  }
+
+  /**
+   * Load settings from storage, falling back to defaults for missing or invalid values
+   */
+  async load() {
+    try {
+      const result = await browser.storage.local.get(this.STORAGE_KEY);
+      this.values = this.mergeStored(result[this.STORAGE_KEY]);
+    } catch (error) {
+      console.error('Failed to load settings, using defaults:', error);
+    }
+  }
+
+  /**
+   * Merge stored values over the defaults
+   * @param {Object} stored - Stored settings object
+   * @returns {Object} Complete, valid settings object
+   */
+  mergeStored(stored) {
+    const values = Settings.getDefaults();
+    if (stored && typeof stored === 'object') {
+      Object.keys(SETTINGS_SCHEMA).forEach(key => {
+        if (Settings.isValid(key, stored[key])) {
+          values[key] = Settings.copyValue(stored[key]);
+        }
+      });
+    }
+    return values;
+  }
+
+  /**
+   * Get a setting value
+   * @param {string} key - Setting key
+   * @returns {*} Setting value
+   */
+  get(key) {
+    return Settings.copyValue(this.values[key]);
+  }
+
+  /**
+   * Get all setting values
+   * @returns {Object} Copy of all settings
+   */
+  getAll() {
+    return Settings.copyValue(this.values);
+  }
+
+  /**
+   * Change one or more settings
+   * @param {Object} changes - Map of setting key to new value
+   * @returns {Promise<Object>} Result with an errors array for rejected values
+   */
+  async set(changes) {
+    // Writing before the stored settings are read would save the defaults over them
+    await this.loaded;
+
+    const errors = [];
+    const previous = this.values;
+    const values = this.getAll();
+
+    Object.entries(changes || {}).forEach(([key, value]) => {
+      if (Settings.isValid(key, value)) {
+        values[key] = Settings.copyValue(value);
+      } else {
+        errors.push(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+      }
+    });
+
+    // Apply the changes right away, so a set() that follows builds on them rather than on stale values
+    this.values = values;
+    this.notifyListeners(previous);
+
+    const serialized = JSON.stringify(values);
+    this.pendingWrites.push(serialized);
+    const write = this.writeQueue.then(() => browser.storage.local.set({ [this.STORAGE_KEY]: values }));
+    this.writeQueue = write.catch(() => {});
+
+    try {
+      await write;
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      this.pendingWrites.splice(this.pendingWrites.indexOf(serialized), 1);
+      errors.push('Failed to save settings');
+    }
+
+    return { errors };
+  }
+
+  /**
+   * Restore all settings to their defaults
+   */
+  async reset() {
+    await this.set(Settings.getDefaults());
+  }
+
+  /**
+   * Add a listener for setting changes
+   * @param {Function} callback - Called with (changedKeys, values) when settings change
+   */
+  addChangeListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  /**
+   * Remove a setting change listener
+   * @param {Function} callback - The callback function to remove
+   */
+  removeChangeListener(callback) {
+    const index = this.listeners.indexOf(callback);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Handle storage changes and notify listeners about changed settings
+   * @param {Object} changes - Storage changes
+   * @param {string} areaName - Storage area name
+   */
+  handleStorageChanged(changes, areaName) {
+    if (areaName !== 'local' || !changes[this.STORAGE_KEY]) return;
+
+    // This instance already applied its own writes in set()
+    const ownWrite = this.pendingWrites.indexOf(JSON.stringify(changes[this.STORAGE_KEY].newValue));
+    if (ownWrite !== -1) {
+      this.pendingWrites.splice(0, ownWrite + 1);
+      return;
+    }
+
+    const previous = this.values;
+    this.values = this.mergeStored(changes[this.STORAGE_KEY].newValue);
+    this.notifyListeners(previous);
+  }
+
+  /**
+   * Notify listeners about the settings that differ from the previous values
+   * @param {Object} previous - Settings object before the change
+   */
+  notifyListeners(previous) {
+    const changedKeys = Object.keys(SETTINGS_SCHEMA).filter(key =>
+      JSON.stringify(previous[key]) !== JSON.stringify(this.values[key])
+    );
+
+    if (changedKeys.length === 0) return;
+
+    this.listeners.forEach(callback => {
+      try {
+        callback(changedKeys, this.getAll());
+      } catch (error) {
+        console.warn('Settings change listener error:', error);
+      }
+    });
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Settings, SETTINGS_SCHEMA };
+} else {
+  // Browser environment
+  window.Settings = Settings;
+  window.SETTINGS_SCHEMA = SETTINGS_SCHEMA;
+}
@@ -0,0 +1,36 @@
+/**
+ * Firefox Tab Volume Control - Volume Levels
+ * Low/high/muted thresholds and colors shared by the popup and the toolbar badge.
+ * Loaded as a plain script in the background and popup.
+ */
+
+const VOLUME_LEVELS = {
+  THRESHOLDS: { LOW: 50, HIGH: 150 },
+  // Same as the --volume-*-text colors in popup.css
+  COLORS: {
+    muted: '#d32f2f',
+    low: '#d84315',
+    high: '#1976d2',
+    normal: '#2d5a2d'
+  },
+
+  /**
+   * Get the level name for a volume
+   * @param {number} volume - Volume level
+   * @returns {string} 'muted', 'low', 'high' or 'normal'
+   */
+  getLevel(volume) {
+    if (volume === 0) return 'muted';
+    if (volume < VOLUME_LEVELS.THRESHOLDS.LOW) return 'low';
+    if (volume > VOLUME_LEVELS.THRESHOLDS.HIGH) return 'high';
+    return 'normal';
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VOLUME_LEVELS;
+} else {
+  // Browser environment
+  window.VOLUME_LEVELS = VOLUME_LEVELS;
+}
@@ -0,0 +1,123 @@
+/**
+ * Container Volumes Editor class for per-container default volumes
+ */
+class ContainerVolumesEditor {
+  constructor(settings, onStatus) {
+    this.settings = settings;
+    this.onStatus = onStatus;
+    this.container = null;
+
+    // Constants
+    this.SETTING_KEY = 'containerDefaultVolumes';
+  }
+
+  /**
+   * Render a row per container into a section
+   * @param {HTMLElement} section - Element to add the rows to
+   */
+  async render(section) {
+    this.container = document.createElement('div');
+    this.container.className = 'container-volumes';
+    section.appendChild(this.container);
+    await this.refresh();
+  }
+
+  /**
+   * Rebuild the rows from the current containers and stored defaults
+   */
+  async refresh() {
+    if (!this.container) return;
+
+    let identities = [];
+    try {
+      identities = await browser.contextualIdentities.query({});
+    } catch (error) {
+      // Containers are turned off in Firefox
+    }
+
+    this.container.innerHTML = '';
+    if (identities.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'setting-description';
+      empty.textContent = 'No containers found. Turn on container tabs in Firefox to set a default volume per container.';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const defaults = this.settings.get(this.SETTING_KEY);
+    identities.forEach(identity => {
+      this.container.appendChild(this.createContainerElement(identity, defaults[identity.cookieStoreId]));
+    });
+  }
+
+  /**
+   * Create the row for a single container
+   * @param {Object} identity - Contextual identity
+   * @param {number|undefined} volume - Default volume of the container, if set
+   * @returns {HTMLElement} Container row element
+   */
+  createContainerElement(identity, volume) {
+    const definition = SETTINGS_SCHEMA[this.SETTING_KEY];
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+
+    const label = document.createElement('label');
+    label.className = 'setting-label';
+    label.htmlFor = `container-${identity.cookieStoreId}`;
+    label.textContent = `${identity.name} default volume`;
+    label.style.borderLeft = `4px solid ${identity.colorCode}`;
+    label.style.paddingLeft = '6px';
+
+    const control = document.createElement('div');
+    control.className = 'setting-control';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = `container-${identity.cookieStoreId}`;
+    input.className = 'setting-number';
+    input.min = definition.min;
+    input.max = definition.max;
+    input.step = 5;
+    input.placeholder = String(this.settings.get('defaultVolume'));
+    input.value = volume ?? '';
+    input.addEventListener('change', () => this.saveVolume(identity.cookieStoreId, input));
+
+    const unit = document.createElement('span');
+    unit.className = 'setting-unit';
+    unit.textContent = '%';
+
+    control.append(input, unit);
+    row.append(label, control);
+
+    const description = document.createElement('div');
+    description.className = 'setting-description';
+    description.textContent = 'Leave empty to use the default volume';
+    row.appendChild(description);
+
+    return row;
+  }
+
+  /**
+   * Validate and save the default volume of a container
+   * @param {string} cookieStoreId - Container
+   * @param {HTMLInputElement} input - Volume input
+   */
+  async saveVolume(cookieStoreId, input) {
+    const defaults = this.settings.get(this.SETTING_KEY);
+    if (input.value === '') {
+      delete defaults[cookieStoreId];
+    } else {
+      defaults[cookieStoreId] = Number(input.value);
+    }
+
+    if (!Settings.isValid(this.SETTING_KEY, defaults)) {
+      const definition = SETTINGS_SCHEMA[this.SETTING_KEY];
+      this.onStatus(`Enter a volume between ${definition.min} and ${definition.max}`, true);
+      input.value = this.settings.get(this.SETTING_KEY)[cookieStoreId] ?? '';
+      return;
+    }
+
+    const result = await this.settings.set({ [this.SETTING_KEY]: defaults });
+    this.onStatus(result.errors.length > 0 ? result.errors[0] : 'Saved', result.errors.length > 0);
+  }
+}
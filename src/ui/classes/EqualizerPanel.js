@@ -0,0 +1,258 @@
+/**
+ * Equalizer Panel class for the expandable per-tab EQ on the tab cards
+ */
+class EqualizerPanel {
+  constructor(state, settings, messageHandler) {
+    this.state = state;
+    this.settings = settings;
+    this.messageHandler = messageHandler;
+    this.openTabIds = new Set(); // Tabs whose panel is expanded, kept when a card is rebuilt
+
+    // Constants
+    this.SETTING_KEY = 'equalizerPresets';
+  }
+
+  /**
+   * Get the EQ curve of a tab
+   * @param {Object} tab - Tab object
+   * @returns {Array<number>} Gains in dB, one per band
+   */
+  getCurve(tab) {
+    return tab.effects?.equalizer || EQUALIZER.PRESETS.Flat;
+  }
+
+  /**
+   * Get the curves the user saved
+   * @returns {Object} Custom curves by name
+   */
+  getCustomPresets() {
+    return this.settings.get(this.SETTING_KEY);
+  }
+
+  /**
+   * Create the EQ panel for a tab card
+   * @param {Object} tab - Tab object
+   * @returns {HTMLElement} Panel element, hidden unless the user expanded it
+   */
+  create(tab) {
+    const panel = document.createElement('div');
+    panel.className = 'tab-eq';
+    panel.hidden = !this.openTabIds.has(tab.id);
+
+    panel.innerHTML = `
+      <div class="eq-fallback" hidden></div>
+      <select class="rule-input eq-preset" title="EQ preset"></select>
+      <div class="eq-bands">
+        ${EQUALIZER.BANDS.map((band, index) => `
+        <label class="eq-band">
+          <span class="eq-frequency">${band.label}</span>
+          <input type="range" class="eq-slider" min="${EQUALIZER.MIN_GAIN}" max="${EQUALIZER.MAX_GAIN}" step="1" data-band="${index}">
+          <span class="eq-gain"></span>
+        </label>`).join('')}
+      </div>
+      <div class="eq-save">
+        <input type="text" class="rule-input eq-name" maxlength="${EQUALIZER.MAX_NAME_LENGTH}" placeholder="Name this curve">
+        <button class="site-forget-btn eq-save-btn">Save</button>
+        <button class="site-forget-btn eq-delete-btn" hidden>Delete</button>
+      </div>
+      <div class="eq-message" hidden></div>
+    `;
+
+    this.update(panel, tab);
+    this.setupPanelEvents(panel, tab.id);
+    if (!panel.hidden) {
+      this.refreshRouting(panel, tab.id);
+    }
+    return panel;
+  }
+
+  /**
+   * Show a tab's curve and the matching preset
+   * @param {HTMLElement} panel - Panel element
+   * @param {Object} tab - Tab object
+   */
+  update(panel, tab) {
+    const curve = this.getCurve(tab);
+    const customPresets = this.getCustomPresets();
+    const presetName = EQUALIZER.findPreset(curve, customPresets);
+
+    const select = panel.querySelector('.eq-preset');
+    select.innerHTML = '';
+    const addOption = (parent, name, label = name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = label;
+      parent.appendChild(option);
+    };
+    Object.keys(EQUALIZER.PRESETS).forEach(name => addOption(select, name));
+    if (Object.keys(customPresets).length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = 'Saved curves';
+      Object.keys(customPresets).forEach(name => addOption(group, name));
+      select.appendChild(group);
+    }
+    if (!presetName) {
+      addOption(select, '', 'Custom curve');
+    }
+    select.value = presetName || '';
+
+    panel.querySelectorAll('.eq-slider').forEach(slider => {
+      const gain = curve[parseInt(slider.dataset.band)];
+      // Leave a band alone while it is dragged
+      if (document.activeElement !== slider) {
+        slider.value = gain;
+      }
+      slider.nextElementSibling.textContent = `${gain > 0 ? '+' : ''}${gain} dB`;
+    });
+
+    panel.querySelector('.eq-delete-btn').hidden = !(presetName in customPresets);
+  }
+
+  /**
+   * Expand or collapse the panel of a tab
+   * @param {HTMLElement} panel - Panel element
+   * @param {number} tabId - Tab ID
+   */
+  toggle(panel, tabId) {
+    panel.hidden = !panel.hidden;
+    if (panel.hidden) {
+      this.openTabIds.delete(tabId);
+    } else {
+      this.openTabIds.add(tabId);
+      this.refreshRouting(panel, tabId);
+    }
+  }
+
+  /**
+   * Mark the panel when media in the tab plays through the HTML5 fallback, which has no EQ
+   * @param {HTMLElement} panel - Panel element
+   * @param {number} tabId - Tab ID
+   */
+  async refreshRouting(panel, tabId) {
+    const fallbackDiv = panel.querySelector('.eq-fallback');
+    try {
+      const response = await this.messageHandler.getEffectsStatus(tabId);
+      const media = response?.status?.media;
+      if (!media || media.fallback === 0) {
+        fallbackDiv.hidden = true;
+        return;
+      }
+
+      fallbackDiv.textContent = media.fallback === media.total
+        ? 'EQ not supported: media on this page plays through the HTML5 fallback'
+        : `EQ not supported for ${media.fallback} of ${media.total} media elements (HTML5 fallback)`;
+      fallbackDiv.hidden = false;
+    } catch (error) {
+      console.error('Failed to check EQ support:', error);
+    }
+  }
+
+  /**
+   * Set up event listeners for a panel
+   * @param {HTMLElement} panel - Panel element
+   * @param {number} tabId - Tab ID
+   */
+  setupPanelEvents(panel, tabId) {
+    panel.querySelector('.eq-preset').addEventListener('change', (e) => {
+      const presets = { ...EQUALIZER.PRESETS, ...this.getCustomPresets() };
+      if (presets[e.target.value]) {
+        this.setCurve(tabId, presets[e.target.value]);
+      }
+    });
+
+    panel.querySelectorAll('.eq-slider').forEach(slider => {
+      slider.addEventListener('input', () => {
+        const curve = [...panel.querySelectorAll('.eq-slider')].map(band => parseInt(band.value));
+        this.setCurve(tabId, curve);
+      });
+    });
+
+    panel.querySelector('.eq-save-btn').addEventListener('click', () => {
+      this.savePreset(panel, tabId);
+    });
+
+    panel.querySelector('.eq-delete-btn').addEventListener('click', () => {
+      this.deletePreset(panel, panel.querySelector('.eq-preset').value);
+    });
+  }
+
+  /**
+   * Apply a curve to a tab
+   * @param {number} tabId - Tab ID
+   * @param {Array<number>} curve - Gains in dB, one per band
+   */
+  async setCurve(tabId, curve) {
+    try {
+      const response = await this.messageHandler.setEffects(tabId, { equalizer: curve });
+      if (!response?.success) {
+        throw new Error(response?.error);
+      }
+      this.state.updateTab(tabId, { effects: response.effects });
+    } catch (error) {
+      console.error('Failed to set EQ curve:', error);
+    }
+  }
+
+  /**
+   * Show a short message below the panel
+   * @param {HTMLElement} panel - Panel element
+   * @param {string} message - Message, empty to hide it
+   */
+  showMessage(panel, message) {
+    const messageDiv = panel.querySelector('.eq-message');
+    messageDiv.textContent = message;
+    messageDiv.hidden = !message;
+  }
+
+  /**
+   * Save the tab's current curve under the entered name
+   * @param {HTMLElement} panel - Panel element
+   * @param {number} tabId - Tab ID
+   */
+  async savePreset(panel, tabId) {
+    const nameInput = panel.querySelector('.eq-name');
+    const name = nameInput.value.trim();
+    const customPresets = this.getCustomPresets();
+
+    if (!name) {
+      this.showMessage(panel, 'Enter a name for the curve');
+      return;
+    }
+    if (EQUALIZER.PRESETS[name]) {
+      this.showMessage(panel, `${name} is a built-in preset`);
+      return;
+    }
+    if (!customPresets[name] && Object.keys(customPresets).length >= EQUALIZER.MAX_CUSTOM_PRESETS) {
+      this.showMessage(panel, `You can save up to ${EQUALIZER.MAX_CUSTOM_PRESETS} curves`);
+      return;
+    }
+
+    const tab = this.state.findTab(tabId);
+    if (!tab) return;
+
+    const { errors } = await this.settings.set({ [this.SETTING_KEY]: { ...customPresets, [name]: this.getCurve(tab) } });
+    if (errors.length > 0) {
+      this.showMessage(panel, 'Failed to save the curve');
+      return;
+    }
+    // The settings change listener re-renders the cards with the new preset
+    nameInput.value = '';
+    this.showMessage(panel, '');
+  }
+
+  /**
+   * Delete a saved curve
+   * @param {HTMLElement} panel - Panel element
+   * @param {string} name - Curve name
+   */
+  async deletePreset(panel, name) {
+    const customPresets = this.getCustomPresets();
+    if (!customPresets[name]) return;
+
+    delete customPresets[name];
+    const { errors } = await this.settings.set({ [this.SETTING_KEY]: customPresets });
+    if (errors.length > 0) {
+      this.showMessage(panel, 'Failed to delete the curve');
+    }
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * External API Log Viewer class for the volume changes made by other extensions
+ */
+class ExternalApiLogViewer {
+  constructor(onStatus) {
+    this.onStatus = onStatus;
+    this.container = null;
+
+    // Constants
+    this.STORAGE_KEY = 'externalApiLog'; // Kept in sync with ExternalApiLog
+  }
+
+  /**
+   * Render the log into a section and refresh it when the background records a change
+   * @param {HTMLElement} section - Element to add the log to
+   */
+  async render(section) {
+    this.container = document.createElement('div');
+    this.container.className = 'external-api-log';
+    section.appendChild(this.container);
+
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.STORAGE_KEY]) {
+        this.refresh();
+      }
+    });
+    await this.refresh();
+  }
+
+  /**
+   * Rebuild the list from the log in the background
+   */
+  async refresh() {
+    if (!this.container) return;
+
+    let entries = [];
+    try {
+      const response = await browser.runtime.sendMessage({ action: 'getExternalApiLog' });
+      entries = response?.entries || [];
+    } catch (error) {
+      console.error('Failed to load external API log:', error);
+    }
+
+    this.container.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'setting-label';
+    title.textContent = 'Changes made by other extensions';
+    this.container.appendChild(title);
+
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'setting-description';
+      empty.textContent = 'No other extension has changed a volume yet.';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'external-api-log-list';
+    entries.forEach(entry => list.appendChild(this.createEntryElement(entry)));
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'options-btn';
+    clearBtn.textContent = 'Clear log';
+    clearBtn.addEventListener('click', () => this.clear());
+
+    this.container.append(list, clearBtn);
+  }
+
+  /**
+   * Create the list item for a single change
+   * @param {Object} entry - Log entry ({ time, extensionId, title, hostname, previousVolume, volume })
+   * @returns {HTMLElement} List item
+   */
+  createEntryElement(entry) {
+    const item = document.createElement('li');
+    const time = new Date(entry.time).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+    const site = entry.hostname ? ` (${entry.hostname})` : '';
+    item.textContent = `${time}: ${entry.extensionId} changed "${entry.title}"${site} from ${entry.previousVolume}% to ${entry.volume}%`;
+    return item;
+  }
+
+  /**
+   * Forget all logged changes
+   */
+  async clear() {
+    try {
+      await browser.runtime.sendMessage({ action: 'clearExternalApiLog' });
+      this.onStatus('Log cleared');
+    } catch (error) {
+      console.error('Failed to clear external API log:', error);
+      this.onStatus('Failed to clear the log', true);
+    }
+  }
+}
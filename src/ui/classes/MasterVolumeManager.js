@@ -25,6 +25,16 @@ class MasterVolumeManager {
       }
     });
 
+    // Scope of the apply and reset buttons
+    this.uiManager.getElement('bulkScope').addEventListener('change', (e) => {
+      try {
+        this.state.setBulkScope(e.target.value);
+      } catch (error) {
+        console.error('Failed to change bulk scope:', error);
+        e.target.value = this.state.getBulkScope();
+      }
+    });
+
     // Master volume preset buttons
     document.querySelectorAll('.master-control .preset-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
@@ -67,21 +77,49 @@ class MasterVolumeManager {
   }
 
   /**
-   * Apply master volume to all audio tabs
+   * Get the scope chosen for the apply and reset buttons
+   * @returns {Promise<Object>} Scope ({ type, windowId, tabIds })
+   */
+  async getScope() {
+    const currentWindow = await browser.windows.getCurrent();
+    return {
+      type: this.state.getBulkScope(),
+      windowId: currentWindow.id,
+      tabIds: this.state.getSelectedTabIds()
+    };
+  }
+
+  /**
+   * Store the undo history state sent along with a bulk action response
+   * @param {Object} [response] - Response from the background
+   */
+  updateHistory(response) {
+    if (response?.history) {
+      this.state.setHistory(response.history);
+    }
+  }
+
+  /**
+   * Apply master volume to the audio tabs in the chosen scope
    */
-  async applyToAllTabs() {
+  async applyToTabs() {
     try {
       // Set flag to prevent unwanted refreshes from overriding our UI changes
       this.state.setJustApplied(true);
       
       const volume = this.state.getMasterVolume();
       
-      // Update local state immediately for better UX
-      this.state.updateAllTabsVolume(volume);
-      
-      // Update the UI immediately (this will be handled by TabListManager)
-      // Send to background
-      await this.messageHandler.applyToAllTabs(volume);
+      if (this.state.getBulkScope() === 'all') {
+        // Update local state immediately for better UX
+        this.state.updateAllTabsVolume(volume);
+        const response = await this.messageHandler.applyToAllTabs(volume);
+        this.updateHistory(response);
+      } else {
+        // Only the background knows which tabs are in a window or on a site
+        const response = await this.messageHandler.applyToTabs(volume, await this.getScope());
+        this.state.updateTabsVolume(response?.tabIds || [], volume);
+        this.updateHistory(response);
+      }
       
       // Clear the flag after a delay to allow normal refreshes
       setTimeout(() => {
@@ -95,11 +133,14 @@ class MasterVolumeManager {
   }
 
   /**
-   * Reset all tabs to default volume
+   * Reset the tabs in the chosen scope to default volume
    */
-  async resetAllTabs() {
+  async resetTabs() {
     try {
-      await this.messageHandler.resetAllTabs();
+      const response = this.state.getBulkScope() === 'all'
+        ? await this.messageHandler.resetAllTabs()
+        : await this.messageHandler.resetTabs(await this.getScope());
+      this.updateHistory(response);
       this.setVolume(CONFIG.VOLUMES.DEFAULT);
       
       // Reload tabs after a delay
@@ -0,0 +1,141 @@
+/**
+ * Media Elements Panel class for the expandable per-element volumes on the tab cards
+ */
+class MediaElementsPanel {
+  constructor(messageHandler) {
+    this.messageHandler = messageHandler;
+    this.openTabIds = new Set(); // Tabs whose panel is expanded, kept when a card is rebuilt
+    this.panels = new Map(); // Tab ID -> panel element of its current card
+  }
+
+  /**
+   * Create the media elements panel for a tab card
+   * @param {Object} tab - Tab object
+   * @returns {HTMLElement} Panel element, hidden unless the user expanded it
+   */
+  create(tab) {
+    const panel = document.createElement('div');
+    panel.className = 'tab-media';
+    panel.hidden = !this.openTabIds.has(tab.id);
+    this.panels.set(tab.id, panel);
+
+    if (!panel.hidden) {
+      this.load(panel, tab.id);
+    }
+    return panel;
+  }
+
+  /**
+   * Expand or collapse the panel of a tab
+   * @param {HTMLElement} panel - Panel element
+   * @param {number} tabId - Tab ID
+   */
+  toggle(panel, tabId) {
+    panel.hidden = !panel.hidden;
+    if (panel.hidden) {
+      this.openTabIds.delete(tabId);
+    } else {
+      this.openTabIds.add(tabId);
+      this.load(panel, tabId);
+    }
+  }
+
+  /**
+   * Reload the expanded panels, media elements come and go while the page plays
+   */
+  refreshOpen() {
+    this.openTabIds.forEach(tabId => {
+      const panel = this.panels.get(tabId);
+      if (panel?.isConnected) {
+        this.load(panel, tabId);
+      }
+    });
+  }
+
+  /**
+   * Load the media elements of a tab into its panel
+   * @param {HTMLElement} panel - Panel element
+   * @param {number} tabId - Tab ID
+   */
+  async load(panel, tabId) {
+    try {
+      const response = await this.messageHandler.getMediaElements(tabId);
+      // Leave the rows alone while one of their sliders is dragged
+      if (panel.contains(document.activeElement)) return;
+      this.render(panel, tabId, response?.elements || []);
+    } catch (error) {
+      console.error('Failed to get media elements:', error);
+    }
+  }
+
+  /**
+   * Show one row with a volume slider per media element
+   * @param {HTMLElement} panel - Panel element
+   * @param {number} tabId - Tab ID
+   * @param {Array<Object>} elements - Elements ({ id, tag, label, paused, volume, fallback })
+   */
+  render(panel, tabId, elements) {
+    panel.innerHTML = '';
+
+    if (elements.length === 0) {
+      const emptyDiv = document.createElement('div');
+      emptyDiv.className = 'media-empty';
+      emptyDiv.textContent = 'No audio or video elements found on this page';
+      panel.appendChild(emptyDiv);
+      return;
+    }
+
+    elements.forEach(element => {
+      const row = document.createElement('div');
+      row.className = element.paused ? 'media-element media-paused' : 'media-element';
+      row.innerHTML = `
+        <div class="media-info">
+          <span class="media-tag">${element.tag === 'video' ? 'Video' : 'Audio'}</span>
+          <span class="media-label"></span>
+          <span class="media-fallback" title="Plays through the HTML5 fallback, limited to the tab volume" hidden>HTML5</span>
+        </div>
+        <div class="media-volume">
+          <input type="range" class="media-slider" min="${CONFIG.ELEMENT_VOLUMES.MIN}" max="${CONFIG.ELEMENT_VOLUMES.MAX}" step="${CONFIG.ELEMENT_VOLUMES.STEP}" value="${element.volume}">
+          <span class="media-volume-display">${element.volume}%</span>
+        </div>
+      `;
+
+      const label = row.querySelector('.media-label');
+      label.textContent = element.label;
+      label.title = element.label;
+      row.querySelector('.media-fallback').hidden = !element.fallback;
+
+      const slider = row.querySelector('.media-slider');
+      slider.addEventListener('input', () => {
+        const volume = parseInt(slider.value);
+        row.querySelector('.media-volume-display').textContent = `${volume}%`;
+        this.setVolume(tabId, element.id, volume);
+      });
+      slider.addEventListener('dblclick', () => {
+        slider.value = CONFIG.ELEMENT_VOLUMES.DEFAULT;
+        row.querySelector('.media-volume-display').textContent = `${CONFIG.ELEMENT_VOLUMES.DEFAULT}%`;
+        this.setVolume(tabId, element.id, CONFIG.ELEMENT_VOLUMES.DEFAULT);
+      });
+      slider.addEventListener('change', () => slider.blur());
+
+      panel.appendChild(row);
+    });
+  }
+
+  /**
+   * Set the volume of one media element
+   * @param {number} tabId - Tab ID
+   * @param {number} elementId - Element ID
+   * @param {number} volume - Volume in percent of the tab volume
+   */
+  async setVolume(tabId, elementId, volume) {
+    try {
+      const response = await this.messageHandler.setElementVolume(tabId, elementId, volume);
+      if (!response?.success) {
+        throw new Error(response?.error);
+      }
+    } catch (error) {
+      console.error('Failed to set element volume:', error);
+    }
+  }
+}
@@ -4,44 +4,83 @@
 class MessageHandler {
   constructor(popupController) {
     this.popupController = popupController;
+    this.port = null;
   }
 
   /**
-   * Set up message listeners
+   * Connect to the background, which sends a snapshot of the audio tabs and then their changes
    */
-  setupMessageListeners() {
-    browser.runtime.onMessage.addListener((message) => {
-      if (message.action === 'audioStatusChanged') {
-        this.popupController.loadAudioTabs();
-      }
+  connect() {
+    this.port = browser.runtime.connect({ name: 'popup' });
+    this.port.onMessage.addListener((message) => {
+      this.popupController.handlePortMessage(message);
     });
   }
 
   /**
-   * Send message to get tab audio status
-   * @returns {Promise} Promise resolving to response
+   * Ask the background for a new snapshot of the audio tabs
    */
-  async getTabAudioStatus() {
-    return browser.runtime.sendMessage({ action: 'getTabAudioStatus' });
+  requestSnapshot() {
+    this.port.postMessage({ action: 'refresh' });
   }
 
   /**
    * Send message to set volume for a specific tab
    * @param {number} tabId - Tab ID
    * @param {number} volume - Volume level
+   * @param {string} [gestureId] - ID shared by the changes of one slider drag, recorded for undo
+   * @returns {Promise} Promise resolving to response
+   */
+  async setTabVolume(tabId, volume, gestureId) {
+    return browser.runtime.sendMessage({ action: 'setVolume', tabId, volume, gestureId });
+  }
+
+  /**
+   * Send message to solo a tab, or end its solo
+   * @param {number} tabId - Tab ID
    * @returns {Promise} Promise resolving to response
    */
-  async setTabVolume(tabId, volume) {
-    return browser.runtime.sendMessage({ action: 'setVolume', tabId, volume });
+  async toggleSolo(tabId) {
+    return browser.runtime.sendMessage({ action: 'toggleSolo', tabId });
+  }
+
+  /**
+   * Send message to change the audio effects of a tab
+   * @param {number} tabId - Tab ID
+   * @param {Object} effects - Effects to change, e.g. { autoLevel: true }
+   * @returns {Promise} Promise resolving to response with the tab's effects
+   */
+  async setEffects(tabId, effects) {
+    return browser.runtime.sendMessage({ action: 'setEffects', tabId, effects });
+  }
+
+  /**
+   * Send message to get the live state of a tab's effects, e.g. the measured auto level
+   * @param {number} tabId - Tab ID
+   * @returns {Promise} Promise resolving to response with the status, null if the tab did not answer
+   */
+  async getEffectsStatus(tabId) {
+    return browser.runtime.sendMessage({ action: 'getEffectsStatus', tabId });
+  }
+
+  /**
+   * Send message to get the media elements of a tab
+   * @param {number} tabId - Tab ID
+   * @returns {Promise} Promise resolving to response with the elements
+   */
+  async getMediaElements(tabId) {
+    return browser.runtime.sendMessage({ action: 'getMediaElements', tabId });
   }
 
   /**
-   * Send message to get volume for a specific tab
+   * Send message to set the volume of one media element in a tab
    * @param {number} tabId - Tab ID
+   * @param {number} elementId - Element ID
+   * @param {number} volume - Volume in percent of the tab volume
    * @returns {Promise} Promise resolving to response
    */
-  async getTabVolume(tabId) {
-    return browser.runtime.sendMessage({ action: 'getVolume', tabId });
+  async setElementVolume(tabId, elementId, volume) {
+    return browser.runtime.sendMessage({ action: 'setElementVolume', tabId, elementId, volume });
   }
 
   /**
@@ -60,4 +99,110 @@ class MessageHandler {
   async resetAllTabs() {
     return browser.runtime.sendMessage({ action: 'resetAllTabs' });
   }
+
+  /**
+   * Send message to apply volume to the tabs in a scope
+   * @param {number} volume - Volume level
+   * @param {Object} scope - Scope ({ type, windowId, tabIds })
+   * @returns {Promise} Promise resolving to response with the changed tab IDs
+   */
+  async applyToTabs(volume, scope) {
+    return browser.runtime.sendMessage({ action: 'applyToTabs', volume, scope });
+  }
+
+  /**
+   * Send message to reset the tabs in a scope
+   * @param {Object} scope - Scope ({ type, windowId, tabIds })
+   * @returns {Promise} Promise resolving to response with the changed tab IDs
+   */
+  async resetTabs(scope) {
+    return browser.runtime.sendMessage({ action: 'resetTabs', scope });
+  }
+
+  /**
+   * Send message to undo the last volume change
+   * @returns {Promise} Promise resolving to response with the new history state
+   */
+  async undo() {
+    return browser.runtime.sendMessage({ action: 'undo' });
+  }
+
+  /**
+   * Send message to redo the last undone volume change
+   * @returns {Promise} Promise resolving to response with the new history state
+   */
+  async redo() {
+    return browser.runtime.sendMessage({ action: 'redo' });
+  }
+
+  /**
+   * Send message to get remembered site volumes
+   * @returns {Promise} Promise resolving to response
+   */
+  async getSiteVolumes() {
+    return browser.runtime.sendMessage({ action: 'getSiteVolumes' });
+  }
+
+  /**
+   * Send message to forget the remembered volume for a site
+   * @param {string} hostname - Hostname
+   * @param {string} [cookieStoreId] - Container the volume is remembered for
+   * @returns {Promise} Promise resolving to response
+   */
+  async forgetSiteVolume(hostname, cookieStoreId) {
+    return browser.runtime.sendMessage({ action: 'forgetSiteVolume', hostname, cookieStoreId });
+  }
+
+  /**
+   * Send message to forget all remembered site volumes
+   * @returns {Promise} Promise resolving to response
+   */
+  async clearSiteVolumes() {
+    return browser.runtime.sendMessage({ action: 'clearSiteVolumes' });
+  }
+
+  /**
+   * Send message to get all volume rules
+   * @returns {Promise} Promise resolving to response
+   */
+  async getVolumeRules() {
+    return browser.runtime.sendMessage({ action: 'getVolumeRules' });
+  }
+
+  /**
+   * Send message to add a volume rule
+   * @param {Object} rule - Rule data ({ pattern, type, volume, priority, locked })
+   * @returns {Promise} Promise resolving to response
+   */
+  async addVolumeRule(rule) {
+    return browser.runtime.sendMessage({ action: 'addVolumeRule', rule });
+  }
+
+  /**
+   * Send message to update a volume rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise} Promise resolving to response
+   */
+  async updateVolumeRule(ruleId, changes) {
+    return browser.runtime.sendMessage({ action: 'updateVolumeRule', ruleId, changes });
+  }
+
+  /**
+   * Send message to remove a volume rule
+   * @param {string} ruleId - Rule ID
+   * @returns {Promise} Promise resolving to response
+   */
+  async removeVolumeRule(ruleId) {
+    return browser.runtime.sendMessage({ action: 'removeVolumeRule', ruleId });
+  }
+
+  /**
+   * Send message to test which volume rule matches a URL
+   * @param {string} url - URL to test
+   * @returns {Promise} Promise resolving to response
+   */
+  async testVolumeRules(url) {
+    return browser.runtime.sendMessage({ action: 'testVolumeRules', url });
+  }
 }
@@ -0,0 +1,74 @@
+/**
+ * Main Options Controller class that orchestrates the settings page
+ */
+class OptionsController {
+  constructor() {
+    this.settings = new Settings();
+    this.statusTimeoutId = null;
+
+    const showStatus = (message, isError) => this.showStatus(message, isError);
+    this.settingsForm = new SettingsForm(this.settings, document.getElementById('settingsForm'), showStatus);
+    this.shortcutEditor = new ShortcutEditor(showStatus);
+    this.quietHoursEditor = new QuietHoursEditor(this.settings, showStatus);
+    this.containerVolumesEditor = new ContainerVolumesEditor(this.settings, showStatus);
+    this.externalApiLogViewer = new ExternalApiLogViewer(showStatus);
+  }
+
+  /**
+   * Initialize the settings page
+   */
+  async init() {
+    try {
+      if (window.themeManager) {
+        await window.themeManager.init();
+      }
+
+      await this.settings.loaded;
+      this.settingsForm.render();
+      await this.shortcutEditor.render(this.settingsForm.getSectionElement('Keyboard shortcuts'));
+      this.quietHoursEditor.render(this.settingsForm.getSectionElement('Quiet hours'));
+      await this.containerVolumesEditor.render(this.settingsForm.getSectionElement('Containers'));
+      await this.externalApiLogViewer.render(this.settingsForm.getSectionElement('External API'));
+      this.setupEventListeners();
+    } catch (error) {
+      console.error('Failed to initialize settings page:', error);
+    }
+  }
+
+  /**
+   * Set up all event listeners
+   */
+  setupEventListeners() {
+    // Keep the form in sync with changes made elsewhere (e.g. another settings tab)
+    this.settings.addChangeListener((changedKeys) => {
+      this.settingsForm.refresh(changedKeys);
+      if (changedKeys.includes('quietHoursSchedule')) {
+        this.quietHoursEditor.refresh();
+      }
+      if (changedKeys.includes('containerDefaultVolumes') || changedKeys.includes('defaultVolume')) {
+        this.containerVolumesEditor.refresh();
+      }
+    });
+
+    document.getElementById('resetSettingsBtn').addEventListener('click', async () => {
+      await this.settings.reset();
+      this.showStatus('Defaults restored');
+    });
+  }
+
+  /**
+   * Show a status message in the footer
+   * @param {string} message - Message to show
+   * @param {boolean} [isError=false] - Whether the message is an error
+   */
+  showStatus(message, isError = false) {
+    const status = document.getElementById('settingsStatus');
+    status.textContent = message;
+    status.classList.toggle('settings-status-error', isError);
+
+    clearTimeout(this.statusTimeoutId);
+    this.statusTimeoutId = setTimeout(() => {
+      status.textContent = '';
+    }, 3000);
+  }
+}
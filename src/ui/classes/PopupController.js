@@ -3,11 +3,18 @@
  */
 class PopupController {
   constructor() {
+    this.settings = new Settings();
     this.state = new PopupState();
     this.uiManager = new UIManager();
     this.messageHandler = new MessageHandler(this);
     this.masterVolumeManager = new MasterVolumeManager(this.state, this.uiManager, this.messageHandler);
-    this.tabListManager = new TabListManager(this.state, this.uiManager, this.messageHandler);
+    this.equalizerPanel = new EqualizerPanel(this.state, this.settings, this.messageHandler);
+    this.mediaElementsPanel = new MediaElementsPanel(this.messageHandler);
+    this.tabListManager = new TabListManager(
+      this.state, this.uiManager, this.messageHandler, this.equalizerPanel, this.mediaElementsPanel
+    );
+    this.siteVolumeManager = new SiteVolumeManager(this.uiManager, this.messageHandler);
+    this.volumeRulesManager = new VolumeRulesManager(this.uiManager, this.messageHandler);
   }
 
   /**
@@ -15,6 +22,11 @@ class PopupController {
    */
   async init() {
     try {
+      // Apply user settings before building the UI
+      await this.settings.loaded;
+      this.applySettings();
+      this.state.setMasterVolume(CONFIG.VOLUMES.DEFAULT);
+      
       // Initialize UI components
       this.uiManager.initializeElements();
       this.uiManager.initializeMasterVolumeSlider();
@@ -26,9 +38,12 @@ class PopupController {
 
       // Set up event listeners
       this.setupEventListeners();
+      this.masterVolumeManager.updateDisplay();
       
-      // Load audio tabs
-      await this.loadAudioTabs();
+      // The background sends the audio tabs as soon as the popup connects
+      this.uiManager.showLoadingMessage();
+      this.messageHandler.connect();
+      this.tabListManager.startStatusPolling();
     } catch (error) {
       console.error('Failed to initialize popup:', error);
     }
@@ -38,33 +53,96 @@ class PopupController {
    * Set up all event listeners
    */
   setupEventListeners() {
-    // Set up message listeners
-    this.messageHandler.setupMessageListeners();
-    
     // Set up master volume listeners
     this.masterVolumeManager.setupEventListeners();
     
+    // Set up remembered sites listeners
+    this.siteVolumeManager.setupEventListeners();
+    
+    // Set up volume rules listeners
+    this.volumeRulesManager.setupEventListeners();
+    
     // Set up state change listeners for reactive UI updates
     this.setupStateListeners();
     
     // Control buttons
     this.uiManager.getElement('applyToAllBtn').addEventListener('click', () => {
-      this.masterVolumeManager.applyToAllTabs().then(() => {
+      this.masterVolumeManager.applyToTabs().then(() => {
         this.tabListManager.updateDisplay();
       });
     });
     
     this.uiManager.getElement('refreshBtn').addEventListener('click', () => {
-      this.loadAudioTabs();
+      this.uiManager.showLoadingMessage();
+      this.messageHandler.requestSnapshot();
+    });
+    
+    this.uiManager.getElement('settingsBtn').addEventListener('click', () => {
+      browser.runtime.openOptionsPage();
+      window.close();
+    });
+    
+    // Re-render when settings change while the popup is open
+    this.settings.addChangeListener(() => {
+      this.applySettings();
+      this.uiManager.updatePresetButtons();
+      this.tabListManager.render();
     });
     
     this.uiManager.getElement('resetBtn').addEventListener('click', () => {
-      this.masterVolumeManager.resetAllTabs().then(() => {
-        setTimeout(() => this.loadAudioTabs(), CONFIG.TIMING.REFRESH_DELAY);
-      });
+      this.masterVolumeManager.resetTabs();
+    });
+    
+    this.uiManager.getElement('undoBtn').addEventListener('click', () => this.undo());
+    this.uiManager.getElement('redoBtn').addEventListener('click', () => this.redo());
+    
+    // Ctrl+Z and Ctrl+Shift+Z, except while typing where they edit the text
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.matches('input[type="text"], input[type="number"], textarea')) return;
+      
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
     });
   }
 
+  /**
+   * Undo the last volume change; the background then sends the changed tabs
+   */
+  async undo() {
+    try {
+      const response = await this.messageHandler.undo();
+      this.state.setHistory(response.history);
+    } catch (error) {
+      console.error('Failed to undo volume change:', error);
+    }
+  }
+
+  /**
+   * Redo the last undone volume change
+   */
+  async redo() {
+    try {
+      const response = await this.messageHandler.redo();
+      this.state.setHistory(response.history);
+    } catch (error) {
+      console.error('Failed to redo volume change:', error);
+    }
+  }
+
+  /**
+   * Apply user settings to the popup configuration
+   */
+  applySettings() {
+    CONFIG.VOLUMES.DEFAULT = this.settings.get('defaultVolume');
+    CONFIG.VOLUMES.PRESETS = this.settings.get('volumePresets');
+    CONFIG.ALWAYS_MONO = this.settings.get('alwaysMono');
+  }
+
   /**
    * Set up state change event listeners for reactive UI updates
    */
@@ -83,6 +161,34 @@ class PopupController {
         // Single tab update - could optimize to update just that tab
         this.tabListManager.updateDisplay();
       }
+      
+      // Per-tab changes are remembered per site, keep the list current
+      if (event.type !== 'bulk' && this.siteVolumeManager.isOpen()) {
+        this.siteVolumeManager.load();
+      }
+    });
+
+    // Listen for undo history changes
+    this.state.addEventListener('historyChanged', (history) => {
+      this.uiManager.updateHistoryButtons(history);
+    });
+
+    // Listen for bulk scope changes
+    this.state.addEventListener('bulkScopeChanged', (event) => {
+      this.uiManager.updateBulkScope(event.newScope);
+    });
+
+    // Listen for tabs that start or stop playing and changes to single tabs
+    this.state.addEventListener('tabAdded', (event) => {
+      this.tabListManager.addTab(event.tab);
+    });
+
+    this.state.addEventListener('tabRemoved', (event) => {
+      this.tabListManager.removeTab(event.tabId);
+    });
+
+    this.state.addEventListener('tabUpdated', (event) => {
+      this.tabListManager.updateTab(event.tab, event.changes);
     });
 
     // Listen for tabs list changes
@@ -100,42 +206,84 @@ class PopupController {
   }
 
   /**
-   * Load audio tabs from background script
+   * Handle a message from the background over the popup port
+   * @param {Object} message - Snapshot ({ type: 'snapshot', tabs, quietHours, history }) or
+   *                           changes ({ type: 'changes', changes })
    */
-  async loadAudioTabs() {
+  handlePortMessage(message) {
     try {
-      // If we just applied master volume, don't reload to prevent UI flicker
-      if (this.state.wasJustApplied()) {
-        return;
-      }
-      
-      this.uiManager.showLoadingMessage();
-      
-      const response = await this.messageHandler.getTabAudioStatus();
-      
-      if (response?.tabs) {
-        // Validate and set audio tabs with enhanced error handling
-        this.state.setAudioTabs(response.tabs);
-        
-        // Query each tab for its actual current volume to ensure accuracy
-        await this.tabListManager.syncTabVolumes();
-        
-        // Render the tab list
-        this.tabListManager.render();
-      } else {
-        this.uiManager.showNoAudioMessage();
+      if (message.type === 'snapshot') {
+        this.applySnapshot(message);
+      } else if (message.type === 'changes') {
+        message.changes.forEach(change => this.applyChange(change));
       }
     } catch (error) {
-      console.error('Failed to load audio tabs:', error);
-      this.uiManager.showNoAudioMessage();
-      
-      // Validate current state integrity
-      const validation = this.state.validateState();
-      if (!validation.isValid) {
-        console.warn('State validation failed:', validation.errors);
-        // Could reset state here if critically corrupted
-        // this.state.reset();
+      console.error('Failed to apply audio tab update:', error);
+
+      if (message.type === 'snapshot') {
+        this.uiManager.showNoAudioMessage();
+      } else {
+        // Start over from a fresh snapshot rather than show a wrong list
+        this.messageHandler.requestSnapshot();
       }
     }
   }
+
+  /**
+   * Show the full list of audio tabs
+   * @param {Object} snapshot - Snapshot ({ tabs, quietHours, history })
+   */
+  applySnapshot(snapshot) {
+    this.uiManager.updateCapNotice(snapshot.quietHours);
+    this.state.setHistory(snapshot.history);
+    this.state.setAudioTabs(snapshot.tabs);
+    
+    // Render even if nothing changed, to replace the loading message
+    this.tabListManager.render();
+  }
+
+  /**
+   * Apply a single change sent by the background
+   * @param {Object} change - Change ({ type, ... }), see PopupPorts.diffTabs
+   */
+  applyChange(change) {
+    switch (change.type) {
+      case 'tabAdded':
+        this.state.addTab(change.tab);
+        break;
+
+      case 'tabRemoved':
+        this.state.removeTab(change.tabId);
+        break;
+
+      case 'tabUpdated':
+        this.state.updateTab(change.tab.id, change.tab);
+        break;
+
+      case 'volumeChanged':
+        this.state.updateTab(change.tabId, { volume: change.volume, caps: change.caps });
+        break;
+
+      case 'audibleChanged':
+        this.state.updateTab(change.tabId, { audible: change.audible });
+        break;
+
+      case 'infoChanged':
+        this.state.updateTab(change.tabId, { title: change.title, favIconUrl: change.favIconUrl });
+        break;
+
+      case 'effectsChanged':
+        this.state.updateTab(change.tabId, { effects: change.effects });
+        break;
+
+      case 'statusChanged':
+        this.uiManager.updateCapNotice(change.quietHours);
+        this.state.setHistory(change.history);
+        break;
+
+      default:
+        console.warn(`Unknown audio tab change: ${change.type}`);
+        break;
+    }
+  }
 }
@@ -6,12 +6,15 @@ class PopupState {
     this.audioTabs = [];
     this.masterVolume = CONFIG.VOLUMES.DEFAULT;
     this.justAppliedMasterVolume = false;
+    this.bulkScope = 'all'; // Which tabs the master controls apply to
+    this.selectedTabIds = new Set(); // Tabs picked for the 'tabs' bulk scope
+    this.history = { canUndo: false, canRedo: false, undoLabel: null, redoLabel: null }; // Undo history in the background
     this.listeners = new Map(); // Event listeners for state changes
   }
 
   /**
    * Add event listener for state changes
-   * @param {string} event - Event name ('tabsChanged', 'volumeChanged', 'masterVolumeChanged')
+   * @param {string} event - Event name ('tabsChanged', 'tabAdded', 'tabRemoved', 'tabUpdated', 'volumeChanged', 'masterVolumeChanged')
    * @param {Function} callback - Callback function
    */
   addEventListener(event, callback) {
@@ -157,6 +160,53 @@ class PopupState {
            this.audioTabs.some(tab => tab.id === tabId);
   }
 
+  /**
+   * Add a tab that started playing
+   * @param {Object} tab - Tab object
+   * @throws {Error} If tab data is invalid
+   */
+  addTab(tab) {
+    if (!this._validateTabs([tab])) {
+      throw new Error('Invalid tab data provided');
+    }
+
+    this.audioTabs = [...this.audioTabs.filter(existing => existing.id !== tab.id), { ...tab }];
+    this._emit('tabAdded', { tab: { ...tab } });
+  }
+
+  /**
+   * Remove a tab that was closed or stopped playing
+   * @param {number} tabId - Tab ID
+   */
+  removeTab(tabId) {
+    if (!this.hasTab(tabId)) return;
+
+    this.audioTabs = this.audioTabs.filter(tab => tab.id !== tabId);
+    this.selectedTabIds.delete(tabId);
+    this._emit('tabRemoved', { tabId });
+  }
+
+  /**
+   * Update fields of a tab in local state with validation
+   * @param {number} tabId - Tab ID
+   * @param {Object} changes - Changed fields (e.g. { audible } or { title, favIconUrl })
+   * @throws {Error} If the tab is unknown or the changes are invalid
+   */
+  updateTab(tabId, changes) {
+    const tabIndex = this.audioTabs.findIndex(tab => tab.id === tabId);
+    if (tabIndex === -1) {
+      throw new Error(`Tab with ID ${tabId} not found`);
+    }
+
+    const updatedTab = { ...this.audioTabs[tabIndex], ...changes, id: tabId };
+    if (!this._validateTabs([updatedTab])) {
+      throw new Error(`Invalid changes for tab ${tabId}`);
+    }
+
+    this.audioTabs[tabIndex] = updatedTab;
+    this._emit('tabUpdated', { tabId, changes: { ...changes }, tab: { ...updatedTab } });
+  }
+
   /**
    * Update tab volume in local state with validation
    * @param {number} tabId - Tab ID
@@ -195,13 +245,23 @@ class PopupState {
    * @throws {Error} If volume is invalid
    */
   updateAllTabsVolume(volume) {
+    this.updateTabsVolume(this.audioTabs.map(tab => tab.id), volume);
+  }
+
+  /**
+   * Update the volume of several tabs in local state with validation
+   * @param {Array<number>} tabIds - IDs of the tabs to update
+   * @param {number} volume - New volume value for these tabs
+   * @throws {Error} If volume is invalid
+   */
+  updateTabsVolume(tabIds, volume) {
     if (!this._validateVolume(volume)) {
       throw new Error(`Invalid volume value: ${volume}. Must be between ${CONFIG.VOLUMES.MIN} and ${CONFIG.VOLUMES.MAX}`);
     }
 
     const changedTabs = [];
     this.audioTabs = this.audioTabs.map(tab => {
-      if (tab.volume !== volume) {
+      if (tabIds.includes(tab.id) && tab.volume !== volume) {
         changedTabs.push({
           tabId: tab.id,
           oldVolume: tab.volume,
@@ -269,6 +329,89 @@ class PopupState {
     this.justAppliedMasterVolume = applied;
   }
 
+  /**
+   * Get the scope of the master controls
+   * @returns {string} 'all', 'window', 'site' or 'tabs'
+   */
+  getBulkScope() {
+    return this.bulkScope;
+  }
+
+  /**
+   * Set the scope of the master controls
+   * @param {string} scope - 'all', 'window', 'site' or 'tabs'
+   * @throws {Error} If scope is unknown
+   */
+  setBulkScope(scope) {
+    if (!Object.keys(CONFIG.BULK_SCOPES).includes(scope)) {
+      throw new Error(`Invalid bulk scope: ${scope}`);
+    }
+
+    const oldScope = this.bulkScope;
+    this.bulkScope = scope;
+    if (oldScope !== scope) {
+      this._emit('bulkScopeChanged', { oldScope, newScope: scope });
+    }
+  }
+
+  /**
+   * Select or deselect a tab for the 'tabs' bulk scope
+   * @param {number} tabId - Tab ID
+   * @param {boolean} selected - Whether the tab is selected
+   */
+  setTabSelected(tabId, selected) {
+    if (!this._validateTabId(tabId)) {
+      throw new Error(`Invalid tab ID: ${tabId}`);
+    }
+
+    if (selected) {
+      this.selectedTabIds.add(tabId);
+    } else {
+      this.selectedTabIds.delete(tabId);
+    }
+  }
+
+  /**
+   * Check if a tab is selected for the 'tabs' bulk scope
+   * @param {number} tabId - Tab ID
+   * @returns {boolean} True if the tab is selected
+   */
+  isTabSelected(tabId) {
+    return this.selectedTabIds.has(tabId);
+  }
+
+  /**
+   * Get the tabs selected for the 'tabs' bulk scope
+   * @returns {Array<number>} Selected tab IDs
+   */
+  getSelectedTabIds() {
+    return Array.from(this.selectedTabIds);
+  }
+
+  /**
+   * Get the undo history state
+   * @returns {Object} History state ({ canUndo, canRedo, undoLabel, redoLabel })
+   */
+  getHistory() {
+    return { ...this.history };
+  }
+
+  /**
+   * Set the undo history state reported by the background
+   * @param {Object} history - History state ({ canUndo, canRedo, undoLabel, redoLabel })
+   */
+  setHistory(history) {
+    if (!history || typeof history !== 'object') {
+      throw new Error('Invalid history state provided');
+    }
+
+    const oldHistory = this.history;
+    this.history = { ...history };
+    if (JSON.stringify(oldHistory) !== JSON.stringify(this.history)) {
+      this._emit('historyChanged', this.getHistory());
+    }
+  }
+
   /**
    * Get current state snapshot (immutable)
    * @returns {Object} Current state snapshot
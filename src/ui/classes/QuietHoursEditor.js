@@ -0,0 +1,144 @@
+/**
+ * Quiet Hours Editor class for the weekly quiet hours schedule
+ */
+class QuietHoursEditor {
+  constructor(settings, onStatus) {
+    this.settings = settings;
+    this.onStatus = onStatus;
+    this.container = null;
+
+    // Constants
+    this.SETTING_KEY = 'quietHoursSchedule';
+    this.DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    this.DAY_ORDER = [1, 2, 3, 4, 5, 6, 0]; // Week starts on Monday
+    this.NEW_RANGE = { days: [1, 2, 3, 4, 5], start: '22:00', end: '07:00' };
+  }
+
+  /**
+   * Render the schedule into a container
+   * @param {HTMLElement} container - Element to add the schedule to
+   */
+  render(container) {
+    this.container = document.createElement('div');
+    this.container.className = 'schedule-editor';
+    container.appendChild(this.container);
+    this.refresh();
+  }
+
+  /**
+   * Rebuild the time range rows from the stored schedule
+   */
+  refresh() {
+    if (!this.container) return;
+    this.container.innerHTML = '';
+
+    const schedule = this.settings.get(this.SETTING_KEY);
+    schedule.forEach((range, index) => {
+      this.container.appendChild(this.createRangeElement(range, index));
+    });
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'options-btn';
+    addBtn.textContent = 'Add time range';
+    addBtn.disabled = schedule.length >= SETTINGS_SCHEMA[this.SETTING_KEY].maxItems;
+    addBtn.addEventListener('click', () => {
+      this.saveSchedule([...this.settings.get(this.SETTING_KEY), this.NEW_RANGE]);
+    });
+    this.container.appendChild(addBtn);
+  }
+
+  /**
+   * Create the row for a single time range
+   * @param {Object} range - Time range ({ days, start, end })
+   * @param {number} index - Index in the schedule
+   * @returns {HTMLElement} Time range row element
+   */
+  createRangeElement(range, index) {
+    const row = document.createElement('div');
+    row.className = 'setting-row schedule-row';
+
+    const days = document.createElement('div');
+    days.className = 'schedule-days';
+    this.DAY_ORDER.forEach(day => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = range.days.includes(day);
+      checkbox.addEventListener('change', () => {
+        const selected = checkbox.checked
+          ? [...range.days, day].sort((a, b) => a - b)
+          : range.days.filter(selectedDay => selectedDay !== day);
+        this.updateRange(index, { days: selected });
+      });
+      label.append(checkbox, this.DAY_LABELS[day]);
+      days.appendChild(label);
+    });
+
+    const control = document.createElement('div');
+    control.className = 'setting-control';
+
+    const start = this.createTimeInput(range.start, value => this.updateRange(index, { start: value }));
+    const end = this.createTimeInput(range.end, value => this.updateRange(index, { end: value }));
+
+    const separator = document.createElement('span');
+    separator.textContent = 'to';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'options-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      this.saveSchedule(this.settings.get(this.SETTING_KEY).filter((_, rangeIndex) => rangeIndex !== index));
+    });
+
+    control.append(start, separator, end, removeBtn);
+    row.append(days, control);
+    return row;
+  }
+
+  /**
+   * Create a time input
+   * @param {string} value - Time in 'HH:MM' format
+   * @param {Function} onChange - Called with the new time
+   * @returns {HTMLInputElement} Time input
+   */
+  createTimeInput(value, onChange) {
+    const input = document.createElement('input');
+    input.type = 'time';
+    input.className = 'setting-text';
+    input.value = value;
+    input.addEventListener('change', () => onChange(input.value));
+    return input;
+  }
+
+  /**
+   * Change part of a time range and save the schedule
+   * @param {number} index - Index in the schedule
+   * @param {Object} changes - Changed range fields
+   */
+  updateRange(index, changes) {
+    const schedule = this.settings.get(this.SETTING_KEY);
+    schedule[index] = { ...schedule[index], ...changes };
+    this.saveSchedule(schedule);
+  }
+
+  /**
+   * Validate and save the schedule
+   * @param {Array<Object>} schedule - New schedule
+   */
+  async saveSchedule(schedule) {
+    const invalidRange = schedule.find(range => !Settings.isValidTimeRange(range));
+    if (invalidRange) {
+      this.onStatus('Each time range needs at least one day and different start and end times', true);
+      this.refresh();
+      return;
+    }
+
+    const result = await this.settings.set({ [this.SETTING_KEY]: schedule });
+    if (result.errors.length > 0) {
+      this.onStatus(result.errors[0], true);
+      this.refresh();
+    } else {
+      this.onStatus('Saved');
+    }
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Settings Form class that builds the options form from SETTINGS_SCHEMA
+ */
+class SettingsForm {
+  constructor(settings, container, onStatus) {
+    this.settings = settings;
+    this.container = container;
+    this.onStatus = onStatus;
+    this.sectionElements = new Map();
+  }
+
+  /**
+   * Render all schema settings grouped by section
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.sectionElements.clear();
+
+    this.getSections().forEach((keys, section) => {
+      const fieldset = document.createElement('fieldset');
+      fieldset.className = 'settings-section';
+
+      const legend = document.createElement('legend');
+      legend.textContent = section;
+      fieldset.appendChild(legend);
+
+      keys.forEach(key => {
+        fieldset.appendChild(this.createSettingElement(key, SETTINGS_SCHEMA[key]));
+      });
+
+      this.container.appendChild(fieldset);
+      this.sectionElements.set(section, fieldset);
+    });
+  }
+
+  /**
+   * Get the element of a section so other editors can add rows to it
+   * @param {string} section - Section name
+   * @returns {HTMLElement|undefined} Section element
+   */
+  getSectionElement(section) {
+    return this.sectionElements.get(section);
+  }
+
+  /**
+   * Group schema keys by section, keeping schema order
+   * @returns {Map<string, Array<string>>} Map of section name to setting keys
+   */
+  getSections() {
+    const sections = new Map();
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, definition]) => {
+      if (!definition.section) return;
+      if (!sections.has(definition.section)) {
+        sections.set(definition.section, []);
+      }
+      sections.get(definition.section).push(key);
+    });
+    return sections;
+  }
+
+  /**
+   * Create the row for a single setting
+   * @param {string} key - Setting key
+   * @param {Object} definition - Schema definition
+   * @returns {HTMLElement} Setting row element
+   */
+  createSettingElement(key, definition) {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+    row.setAttribute('data-setting', key);
+
+    const label = document.createElement('label');
+    label.className = 'setting-label';
+    label.textContent = definition.label;
+    label.htmlFor = `setting-${key}`;
+
+    const control = document.createElement('div');
+    control.className = 'setting-control';
+    this.createInputs(key, definition).forEach(input => control.appendChild(input));
+
+    if (definition.unit) {
+      const unit = document.createElement('span');
+      unit.className = 'setting-unit';
+      unit.textContent = definition.unit;
+      control.appendChild(unit);
+    }
+
+    row.append(label, control);
+
+    if (definition.description) {
+      const description = document.createElement('div');
+      description.className = 'setting-description';
+      description.textContent = definition.description;
+      row.appendChild(description);
+    }
+
+    this.updateInputs(row, key);
+    return row;
+  }
+
+  /**
+   * Create the input elements for a setting
+   * @param {string} key - Setting key
+   * @param {Object} definition - Schema definition
+   * @returns {Array<HTMLElement>} Input elements
+   */
+  createInputs(key, definition) {
+    const handleChange = () => this.saveSetting(key);
+
+    switch (definition.type) {
+      case 'boolean': {
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.id = `setting-${key}`;
+        input.addEventListener('change', handleChange);
+        return [input];
+      }
+      case 'stringList': {
+        const textarea = document.createElement('textarea');
+        textarea.id = `setting-${key}`;
+        textarea.className = 'setting-textarea';
+        textarea.rows = 4;
+        textarea.placeholder = definition.placeholder || '';
+        textarea.addEventListener('change', handleChange);
+        return [textarea];
+      }
+      case 'numberList':
+        return Array.from({ length: definition.length }, (_, index) => {
+          const input = this.createNumberInput(definition);
+          if (index === 0) input.id = `setting-${key}`;
+          input.addEventListener('change', handleChange);
+          return input;
+        });
+      default: {
+        const input = this.createNumberInput(definition);
+        input.id = `setting-${key}`;
+        input.addEventListener('change', handleChange);
+        return [input];
+      }
+    }
+  }
+
+  /**
+   * Create a number input with the schema range
+   * @param {Object} definition - Schema definition
+   * @returns {HTMLInputElement} Number input
+   */
+  createNumberInput(definition) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'setting-number';
+    input.min = definition.min;
+    input.max = definition.max;
+    input.step = definition.step || 1;
+    return input;
+  }
+
+  /**
+   * Read the current value of a setting from its inputs
+   * @param {string} key - Setting key
+   * @returns {*} Parsed value
+   */
+  readValue(key) {
+    const definition = SETTINGS_SCHEMA[key];
+    const inputs = this.container.querySelectorAll(`[data-setting="${key}"] input, [data-setting="${key}"] textarea`);
+
+    switch (definition.type) {
+      case 'boolean':
+        return inputs[0].checked;
+      case 'stringList':
+        // One entry per line, blank lines are ignored
+        return inputs[0].value.split('\n').map(line => line.trim()).filter(Boolean);
+      case 'numberList':
+        return Array.from(inputs).map(input => Number(input.value));
+      default:
+        return Number(inputs[0].value);
+    }
+  }
+
+  /**
+   * Update the inputs of a setting from the stored value
+   * @param {HTMLElement} row - Setting row element
+   * @param {string} key - Setting key
+   */
+  updateInputs(row, key) {
+    const definition = SETTINGS_SCHEMA[key];
+    const value = this.settings.get(key);
+    const inputs = row.querySelectorAll('input, textarea');
+
+    switch (definition.type) {
+      case 'boolean':
+        inputs[0].checked = value;
+        break;
+      case 'stringList':
+        inputs[0].value = value.join('\n');
+        break;
+      case 'numberList':
+        inputs.forEach((input, index) => {
+          input.value = value[index];
+        });
+        break;
+      default:
+        inputs[0].value = value;
+        break;
+    }
+  }
+
+  /**
+   * Refresh inputs for changed settings (e.g. changed from another page)
+   * @param {Array<string>} changedKeys - Keys of changed settings
+   */
+  refresh(changedKeys) {
+    changedKeys.forEach(key => {
+      const row = this.container.querySelector(`[data-setting="${key}"]`);
+      if (row) {
+        this.updateInputs(row, key);
+      }
+    });
+  }
+
+  /**
+   * Validate and save a setting from its inputs
+   * @param {string} key - Setting key
+   */
+  async saveSetting(key) {
+    const value = this.readValue(key);
+    const row = this.container.querySelector(`[data-setting="${key}"]`);
+
+    if (!Settings.isValid(key, value)) {
+      const definition = SETTINGS_SCHEMA[key];
+      const hint = definition.type === 'stringList'
+        ? `enter at most ${definition.maxItems} lines of up to ${definition.maxLength} characters`
+        : `enter a value between ${definition.min} and ${definition.max}`;
+      this.onStatus(`${definition.label}: ${hint}`, true);
+      this.updateInputs(row, key);
+      return;
+    }
+
+    const result = await this.settings.set({ [key]: value });
+    if (result.errors.length > 0) {
+      this.onStatus(result.errors[0], true);
+      this.updateInputs(row, key);
+    } else {
+      this.onStatus('Saved');
+    }
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Shortcut Editor class for rebinding the extension's keyboard commands
+ */
+class ShortcutEditor {
+  constructor(onStatus) {
+    this.onStatus = onStatus;
+  }
+
+  /**
+   * Convert a keydown event to a key name accepted by browser.commands
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {string|null} Key name or null if the key cannot be used
+   */
+  static keyFromEvent(event) {
+    const namedKeys = {
+      ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+      ' ': 'Space', ',': 'Comma', '.': 'Period',
+      Home: 'Home', End: 'End', PageUp: 'PageUp', PageDown: 'PageDown',
+      Insert: 'Insert', Delete: 'Delete',
+      MediaPlayPause: 'MediaPlayPause', MediaStop: 'MediaStop',
+      MediaTrackNext: 'MediaNextTrack', MediaTrackPrevious: 'MediaPrevTrack'
+    };
+
+    if (namedKeys[event.key]) return namedKeys[event.key];
+    if (/^F([1-9]|1[0-2])$/.test(event.key)) return event.key;
+    if (/^[a-z0-9]$/i.test(event.key)) return event.key.toUpperCase();
+
+    // Shift changes event.key for digits and punctuation, fall back to the physical key
+    const codeMatch = event.code.match(/^(?:Key|Digit)([A-Z0-9])$/);
+    return codeMatch ? codeMatch[1] : null;
+  }
+
+  /**
+   * Build a shortcut string from a keydown event
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {string|null} Shortcut such as "Alt+Shift+Up" or null if incomplete
+   */
+  static shortcutFromEvent(event) {
+    const key = ShortcutEditor.keyFromEvent(event);
+    if (!key) return null;
+
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push(navigator.platform.startsWith('Mac') ? 'MacCtrl' : 'Ctrl');
+    if (event.metaKey) modifiers.push('Command');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+
+    // Media keys work alone, all other keys need a modifier other than Shift
+    const isMediaKey = key.startsWith('Media');
+    const hasPrimaryModifier = modifiers.some(modifier => modifier !== 'Shift');
+    if (!isMediaKey && !hasPrimaryModifier) return null;
+
+    return [...modifiers, key].join('+');
+  }
+
+  /**
+   * Render shortcut rows into a container
+   * @param {HTMLElement} container - Element to add the rows to
+   */
+  async render(container) {
+    try {
+      const commands = await browser.commands.getAll();
+      commands.forEach(command => {
+        container.appendChild(this.createCommandElement(command));
+      });
+    } catch (error) {
+      console.error('Failed to load keyboard shortcuts:', error);
+    }
+  }
+
+  /**
+   * Create the row for a single command
+   * @param {Object} command - Command from browser.commands.getAll()
+   * @returns {HTMLElement} Command row element
+   */
+  createCommandElement(command) {
+    const row = document.createElement('div');
+    row.className = 'setting-row';
+
+    const label = document.createElement('label');
+    label.className = 'setting-label';
+    label.textContent = command.description || command.name;
+    label.htmlFor = `shortcut-${command.name}`;
+
+    const control = document.createElement('div');
+    control.className = 'setting-control';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `shortcut-${command.name}`;
+    input.className = 'setting-text shortcut-input';
+    input.value = command.shortcut || '';
+    input.placeholder = 'Press keys';
+    input.readOnly = true;
+    input.addEventListener('keydown', (e) => this.handleKeydown(e, command.name, input));
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'options-btn';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => this.updateShortcut(command.name, '', input));
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'options-btn';
+    resetBtn.textContent = 'Reset';
+    resetBtn.addEventListener('click', () => this.resetShortcut(command.name, input));
+
+    control.append(input, clearBtn, resetBtn);
+    row.append(label, control);
+    return row;
+  }
+
+  /**
+   * Capture a new shortcut from a keydown event
+   * @param {KeyboardEvent} event - Keydown event
+   * @param {string} name - Command name
+   * @param {HTMLInputElement} input - Shortcut input
+   */
+  handleKeydown(event, name, input) {
+    // Let Tab move focus as usual
+    if (event.key === 'Tab') return;
+    event.preventDefault();
+
+    const shortcut = ShortcutEditor.shortcutFromEvent(event);
+    if (shortcut) {
+      this.updateShortcut(name, shortcut, input);
+    }
+  }
+
+  /**
+   * Update the shortcut for a command
+   * @param {string} name - Command name
+   * @param {string} shortcut - New shortcut, empty to remove it
+   * @param {HTMLInputElement} input - Shortcut input
+   */
+  async updateShortcut(name, shortcut, input) {
+    try {
+      await browser.commands.update({ name, shortcut });
+      input.value = shortcut;
+      this.onStatus(shortcut ? `Shortcut set to ${shortcut}` : 'Shortcut removed');
+    } catch (error) {
+      this.onStatus(`Cannot use ${shortcut}: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Reset the shortcut for a command to the one in the manifest
+   * @param {string} name - Command name
+   * @param {HTMLInputElement} input - Shortcut input
+   */
+  async resetShortcut(name, input) {
+    try {
+      await browser.commands.reset(name);
+      const commands = await browser.commands.getAll();
+      input.value = commands.find(command => command.name === name)?.shortcut || '';
+      this.onStatus('Shortcut reset');
+    } catch (error) {
+      this.onStatus(`Failed to reset shortcut: ${error.message}`, true);
+    }
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Site Volume Manager class for the remembered per-site volumes section
+ */
+class SiteVolumeManager {
+  constructor(uiManager, messageHandler) {
+    this.uiManager = uiManager;
+    this.messageHandler = messageHandler;
+  }
+
+  /**
+   * Set up remembered sites event listeners
+   */
+  setupEventListeners() {
+    // Load the list only when the section is expanded
+    this.uiManager.getElement('siteVolumes').addEventListener('toggle', () => {
+      if (this.isOpen()) {
+        this.load();
+      }
+    });
+
+    // Forget buttons are created dynamically, so delegate from the list
+    this.uiManager.getElement('siteVolumeList').addEventListener('click', (e) => {
+      const hostname = e.target.getAttribute('data-hostname');
+      if (hostname) {
+        this.forgetSite(hostname, e.target.getAttribute('data-cookie-store-id'));
+      }
+    });
+
+    this.uiManager.getElement('clearSitesBtn').addEventListener('click', () => {
+      this.forgetAllSites();
+    });
+  }
+
+  /**
+   * Check if the remembered sites section is expanded
+   * @returns {boolean} True if expanded
+   */
+  isOpen() {
+    return this.uiManager.getElement('siteVolumes').open;
+  }
+
+  /**
+   * Load remembered site volumes from background script
+   */
+  async load() {
+    try {
+      const response = await this.messageHandler.getSiteVolumes();
+      this.render(response?.sites || []);
+    } catch (error) {
+      console.error('Failed to load remembered sites:', error);
+      this.render([]);
+    }
+  }
+
+  /**
+   * Render the list of remembered sites
+   * @param {Array} sites - Array of { hostname, cookieStoreId, container, volume, speed } objects, volume or speed may be missing
+   */
+  render(sites) {
+    const list = this.uiManager.getElement('siteVolumeList');
+    list.innerHTML = '';
+    this.uiManager.getElement('clearSitesBtn').disabled = sites.length === 0;
+
+    if (sites.length === 0) {
+      list.innerHTML = '<div class="no-audio">No remembered sites yet.</div>';
+      return;
+    }
+
+    sites.forEach(site => {
+      list.appendChild(this.createSiteElement(site));
+    });
+  }
+
+  /**
+   * Create a remembered site element for the UI
+   * @param {Object} site - Remembered site object
+   * @returns {HTMLElement} Site element
+   */
+  createSiteElement(site) {
+    const siteDiv = document.createElement('div');
+    siteDiv.className = 'site-volume-item';
+
+    const hostname = document.createElement('span');
+    hostname.className = 'site-hostname';
+    hostname.textContent = site.hostname;
+    hostname.title = site.hostname;
+
+    const forgetBtn = document.createElement('button');
+    forgetBtn.className = 'site-forget-btn';
+    forgetBtn.setAttribute('data-hostname', site.hostname);
+    forgetBtn.setAttribute('data-cookie-store-id', site.cookieStoreId);
+    forgetBtn.title = `Forget volume and speed for ${site.hostname}`;
+    forgetBtn.textContent = 'Forget';
+
+    siteDiv.appendChild(hostname);
+    if (site.container) {
+      siteDiv.appendChild(this.uiManager.createContainerChip(site.container));
+    }
+    if (typeof site.volume === 'number') {
+      const volume = document.createElement('span');
+      volume.className = `tab-volume-display ${this.uiManager.getVolumeClass(site.volume)}`;
+      volume.textContent = `${site.volume}%`;
+      siteDiv.appendChild(volume);
+    }
+    if (typeof site.speed === 'number') {
+      const speed = document.createElement('span');
+      speed.className = 'site-speed';
+      speed.textContent = `${site.speed}×`;
+      siteDiv.appendChild(speed);
+    }
+    siteDiv.appendChild(forgetBtn);
+    return siteDiv;
+  }
+
+  /**
+   * Forget the remembered volume for a site
+   * @param {string} hostname - Hostname
+   * @param {string} cookieStoreId - Container the volume is remembered for
+   */
+  async forgetSite(hostname, cookieStoreId) {
+    try {
+      await this.messageHandler.forgetSiteVolume(hostname, cookieStoreId);
+    } catch (error) {
+      console.error(`Failed to forget volume for ${hostname}:`, error);
+    }
+    await this.load();
+  }
+
+  /**
+   * Forget all remembered site volumes
+   */
+  async forgetAllSites() {
+    try {
+      await this.messageHandler.clearSiteVolumes();
+    } catch (error) {
+      console.error('Failed to forget remembered sites:', error);
+    }
+    await this.load();
+  }
+}
@@ -2,10 +2,17 @@
  * Tab List Manager class for individual tab management
  */
 class TabListManager {
-  constructor(state, uiManager, messageHandler) {
+  constructor(state, uiManager, messageHandler, equalizerPanel, mediaElementsPanel) {
     this.state = state;
     this.uiManager = uiManager;
     this.messageHandler = messageHandler;
+    this.equalizerPanel = equalizerPanel;
+    this.mediaElementsPanel = mediaElementsPanel;
+    this.draggingTabIds = new Set(); // Tabs whose slider is being dragged
+    this.statusIntervalId = null;
+
+    // Constants
+    this.CARD_FIELDS = ['rule', 'soloed', 'container', 'incognito']; // Changes that rebuild the tab card
   }
 
   /**
@@ -27,6 +34,75 @@ class TabListManager {
     });
   }
 
+  /**
+   * Add the card of a tab that started playing
+   * @param {Object} tab - Tab object
+   */
+  addTab(tab) {
+    const tabList = this.uiManager.getElement('tabList');
+    if (!tabList.querySelector('.tab-item')) {
+      // Replace the loading or "no audio" message
+      this.uiManager.clearTabList();
+    }
+    tabList.appendChild(this.createTabElement(tab));
+  }
+
+  /**
+   * Remove the card of a tab that was closed or stopped playing
+   * @param {number} tabId - Tab ID
+   */
+  removeTab(tabId) {
+    this.getTabElement(tabId)?.remove();
+    this.draggingTabIds.delete(tabId);
+    if (!this.state.hasTabs()) {
+      this.uiManager.showNoAudioMessage();
+    }
+  }
+
+  /**
+   * Update the card of a tab after some of its fields changed
+   * @param {Object} tab - Updated tab object
+   * @param {Object} changes - Changed fields
+   */
+  updateTab(tab, changes) {
+    const tabDiv = this.getTabElement(tab.id);
+    if (!tabDiv) return;
+
+    if (this.CARD_FIELDS.some(field => field in changes)) {
+      tabDiv.replaceWith(this.createTabElement(tab));
+      return;
+    }
+
+    // Leave a slider alone while it is dragged, the change is still on its way
+    if ('volume' in changes && !this.draggingTabIds.has(tab.id)) {
+      tabDiv.querySelector('.volume-slider').value = tab.volume;
+      const tabVolumeDisplay = tabDiv.querySelector('.tab-volume-display');
+      tabVolumeDisplay.textContent = `${tab.volume}%`;
+      tabVolumeDisplay.className = `tab-volume-display ${this.uiManager.getVolumeClass(tab.volume)}`;
+    }
+    if ('volume' in changes || 'caps' in changes) {
+      this.updateCapDisplay(tabDiv, tab);
+    }
+    if ('audible' in changes) {
+      tabDiv.classList.toggle('tab-inaudible', !tab.audible);
+    }
+    if ('title' in changes || 'favIconUrl' in changes) {
+      this.updateTitleDisplay(tabDiv, tab);
+    }
+    if ('effects' in changes) {
+      this.updateEffectsDisplay(tabDiv, tab);
+    }
+  }
+
+  /**
+   * Find the card of a tab
+   * @param {number} tabId - Tab ID
+   * @returns {HTMLElement|null} Tab element
+   */
+  getTabElement(tabId) {
+    return this.uiManager.getElement('tabList').querySelector(`.tab-item[data-tab-id="${tabId}"]`);
+  }
+
   /**
    * Update the existing tab list display with current volume values
    */
@@ -48,11 +124,158 @@ class TabListManager {
           // Update display
           tabVolumeDisplay.textContent = `${tab.volume}%`;
           tabVolumeDisplay.className = `tab-volume-display ${this.uiManager.getVolumeClass(tab.volume)}`;
+          this.updateCapDisplay(tabDiv, tab);
         }
       }
     });
   }
 
+  /**
+   * Show the volume a tab actually plays at while caps such as focus mode limit it
+   * @param {HTMLElement} tabDiv - Tab element
+   * @param {Object} tab - Tab object
+   */
+  updateCapDisplay(tabDiv, tab) {
+    const capDiv = tabDiv.querySelector('.tab-cap');
+    const limitingCaps = (tab.caps || []).filter(cap => cap.volume < tab.volume);
+    
+    if (limitingCaps.length === 0) {
+      capDiv.hidden = true;
+      return;
+    }
+    
+    const effectiveVolume = Math.min(...limitingCaps.map(cap => cap.volume));
+    const reasons = limitingCaps.map(cap => CONFIG.CAP_LABELS[cap.source] || cap.source).join(', ');
+    capDiv.textContent = `Playing at ${effectiveVolume}% (${reasons})`;
+    capDiv.hidden = false;
+  }
+
+  /**
+   * Show the title and favicon of a tab
+   * @param {HTMLElement} tabDiv - Tab element
+   * @param {Object} tab - Tab object
+   */
+  updateTitleDisplay(tabDiv, tab) {
+    const title = tabDiv.querySelector('.tab-title');
+    title.textContent = tab.title;
+    title.title = tab.title;
+    tabDiv.querySelector('.tab-favicon').src = tab.favIconUrl || CONFIG.UI.DEFAULT_FAVICON;
+  }
+
+  /**
+   * Show which effects are on for a tab
+   * @param {HTMLElement} tabDiv - Tab element
+   * @param {Object} tab - Tab object
+   */
+  updateEffectsDisplay(tabDiv, tab) {
+    tabDiv.querySelectorAll('.effect-btn[data-effect]').forEach(btn => {
+      btn.classList.toggle('active', Boolean(tab.effects?.[btn.dataset.effect]));
+    });
+    if (CONFIG.ALWAYS_MONO) {
+      const monoBtn = tabDiv.querySelector('.effect-btn[data-effect="mono"]');
+      monoBtn.classList.add('active');
+      monoBtn.disabled = true;
+      monoBtn.title = 'Always mono is on in the settings';
+    }
+
+    const balance = tab.effects?.balance || 0;
+    const balanceSlider = tabDiv.querySelector('.balance-slider');
+    // Leave the slider alone while it is dragged
+    if (document.activeElement !== balanceSlider) {
+      balanceSlider.value = balance;
+    }
+    tabDiv.querySelector('.balance-display').textContent = this.getBalanceLabel(balance);
+
+    const speed = tab.effects?.speed || CONFIG.SPEED.DEFAULT;
+    const speedSlider = tabDiv.querySelector('.speed-slider');
+    if (document.activeElement !== speedSlider) {
+      speedSlider.value = speed;
+    }
+    tabDiv.querySelector('.speed-display').textContent = this.getSpeedLabel(speed);
+    tabDiv.querySelectorAll('.speed-preset-btn').forEach(btn => {
+      btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+    });
+    tabDiv.querySelector('.eq-btn').classList.toggle('active', !EQUALIZER.isFlat(this.equalizerPanel.getCurve(tab)));
+    this.equalizerPanel.update(tabDiv.querySelector('.tab-eq'), tab);
+
+    const autoLevel = Boolean(tab.effects?.autoLevel);
+    const statusDiv = tabDiv.querySelector('.tab-auto-level');
+    if (!autoLevel) {
+      statusDiv.hidden = true;
+    } else if (statusDiv.hidden) {
+      statusDiv.textContent = 'Measuring…';
+      statusDiv.hidden = false;
+    }
+  }
+
+  /**
+   * Describe a balance setting
+   * @param {number} balance - Balance from -100 (left) to 100 (right)
+   * @returns {string} Label, e.g. 'L 40%' or 'Center'
+   */
+  getBalanceLabel(balance) {
+    if (balance === 0) return 'Center';
+    return `${balance < 0 ? 'L' : 'R'} ${Math.abs(balance)}%`;
+  }
+
+  /**
+   * Describe a playback speed
+   * @param {number} speed - Playback rate
+   * @returns {string} Label, e.g. '1.25×'
+   */
+  getSpeedLabel(speed) {
+    return `${parseFloat(speed.toFixed(2))}×`;
+  }
+
+  /**
+   * Show the measured level and correction of a tab with auto level on
+   * @param {HTMLElement} tabDiv - Tab element
+   * @param {Object|null} status - Auto level status from the tab ({ available, level, correction })
+   */
+  updateAutoLevelStatus(tabDiv, status) {
+    const statusDiv = tabDiv.querySelector('.tab-auto-level');
+    if (!status) {
+      statusDiv.textContent = 'Waiting for the page…';
+    } else if (!status.available) {
+      statusDiv.textContent = 'Not available: this page does not play through Web Audio';
+    } else if (status.level === null) {
+      statusDiv.textContent = 'Measuring…';
+    } else {
+      const sign = status.correction > 0 ? '+' : '';
+      statusDiv.textContent = `Level ${status.level.toFixed(1)} dB · correction ${sign}${status.correction.toFixed(1)} dB`;
+    }
+  }
+
+  /**
+   * Poll the tabs with auto level on for their measured level, and the expanded media
+   * panels for their elements, while the popup is open
+   */
+  startStatusPolling() {
+    clearInterval(this.statusIntervalId);
+    this.statusIntervalId = setInterval(() => {
+      this.refreshEffectsStatus();
+      this.mediaElementsPanel.refreshOpen();
+    }, CONFIG.TIMING.EFFECTS_STATUS_INTERVAL);
+  }
+
+  /**
+   * Ask every tab with auto level on for its measured level
+   */
+  async refreshEffectsStatus() {
+    const tabs = this.state.getAudioTabs().filter(tab => tab.effects?.autoLevel);
+    await Promise.all(tabs.map(async tab => {
+      try {
+        const response = await this.messageHandler.getEffectsStatus(tab.id);
+        const tabDiv = this.getTabElement(tab.id);
+        if (tabDiv) {
+          this.updateAutoLevelStatus(tabDiv, response?.status?.autoLevel || null);
+        }
+      } catch (error) {
+        console.error('Failed to get auto level status:', error);
+      }
+    }));
+  }
+
   /**
    * Create a tab element for the UI
    * @param {Object} tab - Tab object
@@ -60,32 +283,78 @@ class TabListManager {
    */
   createTabElement(tab) {
     const tabDiv = document.createElement('div');
-    tabDiv.className = 'tab-item';
+    tabDiv.className = tab.soloed ? 'tab-item tab-soloed' : 'tab-item';
+    tabDiv.dataset.tabId = tab.id;
+    tabDiv.classList.toggle('tab-inaudible', !tab.audible);
     
     const volumeClass = this.uiManager.getVolumeClass(tab.volume);
-    const favicon = tab.favIconUrl || CONFIG.UI.DEFAULT_FAVICON;
+    const locked = Boolean(tab.rule?.locked);
+    const disabled = locked ? 'disabled' : '';
     
     tabDiv.innerHTML = `
       <div class="tab-header">
-        <img class="tab-favicon" src="${favicon}" alt="">
-        <span class="tab-title" title="${tab.title}">${tab.title}</span>
+        <input type="checkbox" class="tab-select" title="Select for the master controls" ${this.state.isTabSelected(tab.id) ? 'checked' : ''}>
+        <img class="tab-favicon" alt="">
+        <span class="tab-title"></span>
         <span class="tab-volume-display ${volumeClass}">${tab.volume}%</span>
+        <button class="solo-btn ${tab.soloed ? 'active' : ''}" title="${tab.soloed ? 'Unmute the other tabs' : 'Mute all other tabs'}">Solo</button>
       </div>
+      <div class="tab-rule" hidden></div>
+      <div class="tab-cap" hidden></div>
       <div class="volume-container">
         <div class="volume-slider-container">
           <span class="volume-label">${CONFIG.VOLUMES.MIN}%</span>
-          <input type="range" class="volume-slider" min="${CONFIG.VOLUMES.MIN}" max="${CONFIG.VOLUMES.MAX}" value="${tab.volume}" data-tab-id="${tab.id}">
+          <input type="range" class="volume-slider" min="${CONFIG.VOLUMES.MIN}" max="${CONFIG.VOLUMES.MAX}" value="${tab.volume}" data-tab-id="${tab.id}" ${disabled}>
           <span class="volume-label">${CONFIG.VOLUMES.MAX}%</span>
         </div>
         <div class="preset-buttons">
-          <button class="preset-btn" data-tab-id="${tab.id}" data-volume="${CONFIG.VOLUMES.PRESETS[0]}">Mute</button>
-          <button class="preset-btn" data-tab-id="${tab.id}" data-volume="${CONFIG.VOLUMES.PRESETS[1]}">${CONFIG.VOLUMES.PRESETS[1]}%</button>
-          <button class="preset-btn" data-tab-id="${tab.id}" data-volume="${CONFIG.VOLUMES.PRESETS[2]}">${CONFIG.VOLUMES.PRESETS[2]}%</button>
-          <button class="preset-btn" data-tab-id="${tab.id}" data-volume="${CONFIG.VOLUMES.PRESETS[3]}">${CONFIG.VOLUMES.PRESETS[3]}%</button>
+          ${CONFIG.VOLUMES.PRESETS.map(volume => `
+          <button class="preset-btn" data-tab-id="${tab.id}" data-volume="${volume}" ${disabled}>${this.uiManager.getPresetLabel(volume)}</button>`).join('')}
         </div>
       </div>
+      <div class="tab-balance" title="Left/right balance, double-click to center">
+        <span class="volume-label">L</span>
+        <input type="range" class="balance-slider" min="${CONFIG.BALANCE.MIN}" max="${CONFIG.BALANCE.MAX}" step="${CONFIG.BALANCE.STEP}" value="0">
+        <span class="volume-label">R</span>
+        <span class="balance-display"></span>
+      </div>
+      <div class="tab-speed" title="Playback speed, double-click to reset">
+        <span class="volume-label">Speed</span>
+        <input type="range" class="speed-slider" min="${CONFIG.SPEED.MIN}" max="${CONFIG.SPEED.MAX}" step="${CONFIG.SPEED.STEP}" value="${CONFIG.SPEED.DEFAULT}">
+        <span class="speed-display"></span>
+      </div>
+      <div class="speed-presets">
+        ${CONFIG.SPEED.PRESETS.map(speed => `
+        <button class="preset-btn speed-preset-btn" data-speed="${speed}">${this.getSpeedLabel(speed)}</button>`).join('')}
+        <button class="effect-btn" data-effect="preservePitch" title="Keep the pitch when the speed changes">Keep pitch</button>
+      </div>
+      <div class="tab-effects">
+        ${Object.entries(CONFIG.EFFECTS).map(([effect, { label, title }]) => `
+        <button class="effect-btn" data-effect="${effect}" title="${title}">${label}</button>`).join('')}
+        <button class="effect-btn eq-btn" title="Show the equalizer">EQ</button>
+        <button class="effect-btn media-btn" title="Show a volume slider per audio and video element">Media</button>
+        <span class="tab-auto-level" hidden></span>
+      </div>
     `;
 
+    this.updateTitleDisplay(tabDiv, tab);
+    if (tab.rule) {
+      const ruleDiv = tabDiv.querySelector('.tab-rule');
+      ruleDiv.textContent = `${locked ? '🔒 Locked by' : 'Rule:'} ${tab.rule.pattern}`;
+      ruleDiv.hidden = false;
+    }
+    this.updateCapDisplay(tabDiv, tab);
+    tabDiv.querySelector('.tab-effects').after(this.equalizerPanel.create(tab), this.mediaElementsPanel.create(tab));
+    this.updateEffectsDisplay(tabDiv, tab);
+
+    if (tab.container) {
+      tabDiv.querySelector('.tab-title').after(this.uiManager.createContainerChip(tab.container));
+    }
+    if (tab.incognito) {
+      tabDiv.classList.add('tab-private');
+      tabDiv.querySelector('.tab-title').after(this.uiManager.createPrivateMarker());
+    }
+
     // Set up event listeners for this tab
     this.setupTabEvents(tabDiv, tab);
     return tabDiv;
@@ -99,19 +368,111 @@ class TabListManager {
   setupTabEvents(tabDiv, tab) {
     const slider = tabDiv.querySelector('.volume-slider');
     const tabVolumeDisplay = tabDiv.querySelector('.tab-volume-display');
+    let gestureId = null; // One undo entry per slider drag
     
     slider.addEventListener('input', (e) => {
       const volume = parseInt(e.target.value);
-      this.updateTabVolume(tab.id, volume, tabVolumeDisplay);
+      gestureId = gestureId || this.createGestureId();
+      this.draggingTabIds.add(tab.id);
+      this.updateTabVolume(tab.id, volume, tabVolumeDisplay, gestureId);
+    });
+
+    slider.addEventListener('change', () => {
+      gestureId = null;
+      this.draggingTabIds.delete(tab.id);
     });
 
-    tabDiv.querySelectorAll('.preset-btn').forEach(btn => {
+    tabDiv.querySelector('.tab-select').addEventListener('change', (e) => {
+      this.state.setTabSelected(tab.id, e.target.checked);
+    });
+
+    tabDiv.querySelector('.solo-btn').addEventListener('click', () => {
+      this.toggleSolo(tab.id);
+    });
+
+    tabDiv.querySelectorAll('.preset-btn[data-volume]').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const volume = parseInt(e.target.getAttribute('data-volume'));
         slider.value = volume;
-        this.updateTabVolume(tab.id, volume, tabVolumeDisplay);
+        this.updateTabVolume(tab.id, volume, tabVolumeDisplay, this.createGestureId());
       });
     });
+
+    tabDiv.querySelectorAll('.effect-btn[data-effect]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.toggleEffect(tab.id, btn.dataset.effect);
+      });
+    });
+
+    const balanceSlider = tabDiv.querySelector('.balance-slider');
+    balanceSlider.addEventListener('input', () => {
+      this.updateEffects(tab.id, { balance: parseInt(balanceSlider.value) });
+    });
+    balanceSlider.addEventListener('dblclick', () => {
+      balanceSlider.value = 0;
+      this.updateEffects(tab.id, { balance: 0 });
+    });
+
+    const speedSlider = tabDiv.querySelector('.speed-slider');
+    speedSlider.addEventListener('input', () => {
+      // Round away the floating point error of the slider steps
+      this.updateEffects(tab.id, { speed: parseFloat(parseFloat(speedSlider.value).toFixed(2)) });
+    });
+    speedSlider.addEventListener('dblclick', () => {
+      speedSlider.value = CONFIG.SPEED.DEFAULT;
+      this.updateEffects(tab.id, { speed: CONFIG.SPEED.DEFAULT });
+    });
+
+    tabDiv.querySelectorAll('.speed-preset-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.updateEffects(tab.id, { speed: parseFloat(btn.dataset.speed) });
+      });
+    });
+
+    tabDiv.querySelector('.eq-btn').addEventListener('click', () => {
+      this.equalizerPanel.toggle(tabDiv.querySelector('.tab-eq'), tab.id);
+    });
+
+    tabDiv.querySelector('.media-btn').addEventListener('click', () => {
+      this.mediaElementsPanel.toggle(tabDiv.querySelector('.tab-media'), tab.id);
+    });
+  }
+
+  /**
+   * Turn an audio effect of a tab on or off
+   * @param {number} tabId - Tab ID
+   * @param {string} effect - Effect name, e.g. 'autoLevel'
+   */
+  async toggleEffect(tabId, effect) {
+    const tab = this.state.findTab(tabId);
+    if (tab) {
+      await this.updateEffects(tabId, { [effect]: !tab.effects?.[effect] });
+    }
+  }
+
+  /**
+   * Change audio effects of a tab
+   * @param {number} tabId - Tab ID
+   * @param {Object} changes - Effects to change, e.g. { balance: -40 }
+   */
+  async updateEffects(tabId, changes) {
+    try {
+      const response = await this.messageHandler.setEffects(tabId, changes);
+      if (!response?.success) {
+        throw new Error(response?.error);
+      }
+      this.state.updateTab(tabId, { effects: response.effects });
+    } catch (error) {
+      console.error('Failed to change audio effects:', error);
+    }
+  }
+
+  /**
+   * Create an ID grouping volume changes into one undo entry
+   * @returns {string} Gesture ID
+   */
+  createGestureId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
   }
 
   /**
@@ -119,15 +480,22 @@ class TabListManager {
    * @param {number} tabId - Tab ID
    * @param {number} volume - Volume level
    * @param {HTMLElement} tabVolumeDisplay - Display element
+   * @param {string} [gestureId] - ID shared by the changes of one gesture
    */
-  async updateTabVolume(tabId, volume, tabVolumeDisplay) {
+  async updateTabVolume(tabId, volume, tabVolumeDisplay, gestureId) {
     try {
       // Update display immediately
       tabVolumeDisplay.textContent = `${volume}%`;
       tabVolumeDisplay.className = `tab-volume-display ${this.uiManager.getVolumeClass(volume)}`;
 
       // Send to tab and background
-      await this.messageHandler.setTabVolume(tabId, volume);
+      const response = await this.messageHandler.setTabVolume(tabId, volume, gestureId);
+      if (response?.success === false) {
+        throw new Error(response.error);
+      }
+      if (response?.history) {
+        this.state.setHistory(response.history);
+      }
       
       // Update local state with validation
       this.state.updateTabVolume(tabId, volume);
@@ -150,25 +518,14 @@ class TabListManager {
   }
 
   /**
-   * Sync tab volumes by querying the background script
+   * Solo a tab, or end its solo; the background then sends the changed tabs
+   * @param {number} tabId - Tab ID
    */
-  async syncTabVolumes() {
-    const tabs = this.state.getAudioTabs();
-    const volumePromises = tabs.map(async (tab) => {
-      try {
-        const response = await this.messageHandler.getTabVolume(tab.id);
-        if (response && response.volume !== undefined) {
-          // Use the state management system to update volume
-          this.state.updateTabVolume(tab.id, response.volume);
-        } else if (response && response.error) {
-          console.warn(`Failed to get volume for tab ${tab.id}: ${response.error}`);
-        }
-      } catch (error) {
-        // Background script communication error
-        console.warn(`Failed to sync volume for tab ${tab.id}:`, error);
-      }
-    });
-    
-    await Promise.all(volumePromises);
+  async toggleSolo(tabId) {
+    try {
+      await this.messageHandler.toggleSolo(tabId);
+    } catch (error) {
+      console.error('Failed to toggle solo:', error);
+    }
   }
 }
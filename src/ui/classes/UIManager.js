@@ -15,8 +15,23 @@ class UIManager {
       masterVolumeDisplay: document.getElementById('masterVolumeDisplay'),
       tabList: document.getElementById('tabList'),
       applyToAllBtn: document.getElementById('applyToAllBtn'),
+      bulkScope: document.getElementById('bulkScope'),
       refreshBtn: document.getElementById('refreshBtn'),
-      resetBtn: document.getElementById('resetBtn')
+      resetBtn: document.getElementById('resetBtn'),
+      undoBtn: document.getElementById('undoBtn'),
+      redoBtn: document.getElementById('redoBtn'),
+      settingsBtn: document.getElementById('settingsBtn'),
+      capNotice: document.getElementById('capNotice'),
+      siteVolumes: document.getElementById('siteVolumes'),
+      siteVolumeList: document.getElementById('siteVolumeList'),
+      clearSitesBtn: document.getElementById('clearSitesBtn'),
+      volumeRules: document.getElementById('volumeRules'),
+      ruleList: document.getElementById('ruleList'),
+      ruleForm: document.getElementById('ruleForm'),
+      ruleError: document.getElementById('ruleError'),
+      ruleTestUrl: document.getElementById('ruleTestUrl'),
+      ruleTestBtn: document.getElementById('ruleTestBtn'),
+      ruleTestResult: document.getElementById('ruleTestResult')
     };
   }
 
@@ -58,11 +73,20 @@ class UIManager {
     CONFIG.VOLUMES.PRESETS.forEach((volume, index) => {
       if (presetButtons[index]) {
         presetButtons[index].setAttribute('data-volume', volume);
-        presetButtons[index].textContent = volume === 0 ? 'Mute' : `${volume}%`;
+        presetButtons[index].textContent = this.getPresetLabel(volume);
       }
     });
   }
 
+  /**
+   * Get the label for a preset button
+   * @param {number} volume - Preset volume level
+   * @returns {string} Button label
+   */
+  getPresetLabel(volume) {
+    return volume === 0 ? 'Mute' : `${volume}%`;
+  }
+
   /**
    * Initialize theme manager
    */
@@ -95,6 +119,76 @@ class UIManager {
     `;
   }
 
+  /**
+   * Create the colour chip that marks a container
+   * @param {Object} container - Container ({ name, colorCode })
+   * @returns {HTMLElement} Chip element
+   */
+  createContainerChip(container) {
+    const chip = document.createElement('span');
+    chip.className = 'container-chip';
+    chip.style.borderColor = container.colorCode;
+    chip.style.color = container.colorCode;
+    chip.textContent = container.name;
+    chip.title = `Container: ${container.name}`;
+    return chip;
+  }
+
+  /**
+   * Create the marker shown on tabs in private windows
+   * @returns {HTMLElement} Marker element
+   */
+  createPrivateMarker() {
+    const marker = document.createElement('span');
+    marker.className = 'private-marker';
+    marker.textContent = 'Private';
+    marker.title = 'Private window: this tab\'s volume is never stored';
+    return marker;
+  }
+
+  /**
+   * Update the master buttons and tab selection boxes for a bulk scope
+   * @param {string} scope - 'all', 'window', 'site' or 'tabs'
+   */
+  updateBulkScope(scope) {
+    const label = CONFIG.BULK_SCOPES[scope];
+    this.getElement('bulkScope').value = scope;
+    this.getElement('applyToAllBtn').textContent = `Apply to ${label}`;
+    this.getElement('resetBtn').textContent = `Reset ${label}`;
+    this.getElement('tabList').classList.toggle('selecting', scope === 'tabs');
+  }
+
+  /**
+   * Enable the undo and redo buttons and describe what they would change
+   * @param {Object} history - History state ({ canUndo, canRedo, undoLabel, redoLabel })
+   */
+  updateHistoryButtons(history) {
+    const undoBtn = this.getElement('undoBtn');
+    const redoBtn = this.getElement('redoBtn');
+    undoBtn.disabled = !history.canUndo;
+    redoBtn.disabled = !history.canRedo;
+    undoBtn.title = history.canUndo ? `Undo: ${history.undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+    redoBtn.title = history.canRedo ? `Redo: ${history.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+
+  /**
+   * Show or hide the notice for an active quiet hours cap
+   * @param {Object} [quietHours] - Quiet hours status ({ active, volume, endsAt })
+   */
+  updateCapNotice(quietHours) {
+    const notice = this.getElement('capNotice');
+    if (!quietHours?.active) {
+      notice.hidden = true;
+      return;
+    }
+
+    const until = quietHours.endsAt
+      ? ` until ${new Date(quietHours.endsAt).toLocaleTimeString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`
+      : '';
+    notice.textContent = `🌙 Quiet hours: tabs play at most ${quietHours.volume}%${until}`;
+    notice.hidden = false;
+  }
+
   /**
    * Clear tab list
    */
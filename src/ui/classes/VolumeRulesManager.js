@@ -0,0 +1,221 @@
+/**
+ * Volume Rules Manager class for the URL pattern volume rules section
+ */
+class VolumeRulesManager {
+  constructor(uiManager, messageHandler) {
+    this.uiManager = uiManager;
+    this.messageHandler = messageHandler;
+  }
+
+  /**
+   * Set up volume rules event listeners
+   */
+  setupEventListeners() {
+    // Load rules only when the section is expanded
+    this.uiManager.getElement('volumeRules').addEventListener('toggle', () => {
+      if (this.uiManager.getElement('volumeRules').open) {
+        this.load();
+        this.prefillTestUrl();
+      }
+    });
+
+    this.uiManager.getElement('ruleForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addRule(e.target);
+    });
+
+    // Rule controls are created dynamically, so delegate from the list
+    const ruleList = this.uiManager.getElement('ruleList');
+    ruleList.addEventListener('click', (e) => {
+      const ruleId = e.target.getAttribute('data-remove-rule');
+      if (ruleId) {
+        this.removeRule(ruleId);
+      }
+    });
+    ruleList.addEventListener('change', (e) => {
+      const ruleId = e.target.getAttribute('data-toggle-rule');
+      if (ruleId) {
+        this.updateRule(ruleId, { enabled: e.target.checked });
+      }
+    });
+
+    this.uiManager.getElement('ruleTestBtn').addEventListener('click', () => {
+      this.testUrl(this.uiManager.getElement('ruleTestUrl').value.trim());
+    });
+  }
+
+  /**
+   * Load volume rules from background script
+   */
+  async load() {
+    try {
+      const response = await this.messageHandler.getVolumeRules();
+      this.render(response?.rules || []);
+    } catch (error) {
+      console.error('Failed to load volume rules:', error);
+      this.render([]);
+    }
+  }
+
+  /**
+   * Prefill the test URL field with the active tab's URL
+   */
+  async prefillTestUrl() {
+    const input = this.uiManager.getElement('ruleTestUrl');
+    if (input.value) return;
+
+    try {
+      const [activeTab] = await browser.tabs.query({ active: true, currentWindow: true });
+      if (activeTab?.url) {
+        input.value = activeTab.url;
+      }
+    } catch (error) {
+      // Leave the field empty
+    }
+  }
+
+  /**
+   * Render the list of volume rules in evaluation order
+   * @param {Array} rules - Array of rule objects
+   */
+  render(rules) {
+    const list = this.uiManager.getElement('ruleList');
+    list.innerHTML = '';
+
+    if (rules.length === 0) {
+      list.innerHTML = '<div class="no-audio">No volume rules yet.</div>';
+      return;
+    }
+
+    rules.forEach(rule => {
+      list.appendChild(this.createRuleElement(rule));
+    });
+  }
+
+  /**
+   * Create a rule element for the UI
+   * @param {Object} rule - Rule object
+   * @returns {HTMLElement} Rule element
+   */
+  createRuleElement(rule) {
+    const ruleDiv = document.createElement('div');
+    ruleDiv.className = 'site-volume-item';
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled;
+    enabled.title = 'Enabled';
+    enabled.setAttribute('data-toggle-rule', rule.id);
+
+    const pattern = document.createElement('span');
+    pattern.className = 'site-hostname';
+    pattern.textContent = `${rule.locked ? '🔒 ' : ''}${rule.pattern}`;
+    pattern.title = `${rule.type} · priority ${rule.priority}${rule.locked ? ' · locked' : ''}`;
+
+    const volume = document.createElement('span');
+    volume.className = `tab-volume-display ${this.uiManager.getVolumeClass(rule.volume)}`;
+    volume.textContent = `${rule.volume}%`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'site-forget-btn';
+    removeBtn.setAttribute('data-remove-rule', rule.id);
+    removeBtn.textContent = 'Remove';
+
+    ruleDiv.append(enabled, pattern, volume, removeBtn);
+    return ruleDiv;
+  }
+
+  /**
+   * Show an error message below the rule form
+   * @param {string} message - Error message, empty to clear
+   */
+  showError(message) {
+    this.uiManager.getElement('ruleError').textContent = message;
+  }
+
+  /**
+   * Add a rule from the rule form
+   * @param {HTMLFormElement} form - Rule form
+   */
+  async addRule(form) {
+    const data = new FormData(form);
+    const rule = {
+      pattern: data.get('pattern'),
+      type: data.get('type'),
+      volume: parseInt(data.get('volume')),
+      priority: parseInt(data.get('priority')) || 0,
+      locked: data.get('locked') === 'on'
+    };
+
+    try {
+      const response = await this.messageHandler.addVolumeRule(rule);
+      if (response?.error) {
+        this.showError(response.error);
+        return;
+      }
+      this.showError('');
+      form.reset();
+      await this.load();
+    } catch (error) {
+      console.error('Failed to add volume rule:', error);
+      this.showError('Failed to add rule');
+    }
+  }
+
+  /**
+   * Update a rule
+   * @param {string} ruleId - Rule ID
+   * @param {Object} changes - Fields to change
+   */
+  async updateRule(ruleId, changes) {
+    try {
+      const response = await this.messageHandler.updateVolumeRule(ruleId, changes);
+      if (response?.error) {
+        this.showError(response.error);
+      }
+    } catch (error) {
+      console.error(`Failed to update volume rule ${ruleId}:`, error);
+    }
+    await this.load();
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} ruleId - Rule ID
+   */
+  async removeRule(ruleId) {
+    try {
+      await this.messageHandler.removeVolumeRule(ruleId);
+    } catch (error) {
+      console.error(`Failed to remove volume rule ${ruleId}:`, error);
+    }
+    await this.load();
+  }
+
+  /**
+   * Show which rule matches a URL
+   * @param {string} url - URL to test
+   */
+  async testUrl(url) {
+    const result = this.uiManager.getElement('ruleTestResult');
+    if (!url) {
+      result.textContent = '';
+      return;
+    }
+
+    try {
+      const response = await this.messageHandler.testVolumeRules(url);
+      const rule = response?.rule;
+      if (rule) {
+        const others = response.matches.length - 1;
+        result.textContent = `Matches "${rule.pattern}" → ${rule.volume}%${rule.locked ? ' (locked)' : ''}` +
+          (others > 0 ? `, overriding ${others} lower rule${others > 1 ? 's' : ''}` : '');
+      } else {
+        result.textContent = 'No rule matches this URL';
+      }
+    } catch (error) {
+      console.error('Failed to test volume rules:', error);
+      result.textContent = 'Failed to test rules';
+    }
+  }
+}
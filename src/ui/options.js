@@ -0,0 +1,10 @@
+/**
+ * Firefox Tab Volume Control - Options Script
+ * Manages the settings page
+ */
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  const optionsController = new OptionsController();
+  optionsController.init();
+});
@@ -6,8 +6,21 @@
 // Configuration constants
 const CONFIG = {
   VOLUMES: { MIN: 0, MAX: 500, DEFAULT: 100, PRESETS: [0, 100, 200, 500] },
-  TIMING: { MASTER_VOLUME_DELAY: 1000, REFRESH_DELAY: 500 },
-  VOLUME_THRESHOLDS: { LOW: 50, HIGH: 150 },
+  TIMING: { MASTER_VOLUME_DELAY: 1000, REFRESH_DELAY: 500, EFFECTS_STATUS_INTERVAL: 1000 },
+  BALANCE: { MIN: -100, MAX: 100, STEP: 5 },
+  SPEED: { MIN: 0.25, MAX: 4, STEP: 0.05, DEFAULT: 1, PRESETS: [0.5, 1, 1.25, 1.5, 2] },
+  ELEMENT_VOLUMES: { MIN: 0, MAX: 200, STEP: 5, DEFAULT: 100 }, // Percent of the tab volume
+  VOLUME_THRESHOLDS: VOLUME_LEVELS.THRESHOLDS, // Shared with the toolbar badge
+  BULK_SCOPES: { all: 'All Tabs', window: 'Tabs in This Window', site: 'Tabs on This Site', tabs: 'Selected Tabs' },
+  EFFECTS: {
+    autoLevel: { label: 'Auto level', title: 'Keep this tab near the target level' },
+    limiter: { label: 'Limiter', title: 'Keep amplified audio from clipping on loud passages' },
+    nightMode: { label: 'Night mode', title: 'Compress the dynamic range so dialogue is audible and explosions are not' },
+    mono: { label: 'Mono', title: 'Mix the left and right channels together, e.g. for a single earbud' },
+    swap: { label: 'Swap L/R', title: 'Swap the left and right channels' }
+  },
+  ALWAYS_MONO: false, // From the settings, shows every tab as mono
+  CAP_LABELS: { focus: 'focus mode', solo: 'another tab is soloed', ducking: 'ducked for a priority tab', quietHours: 'quiet hours' },
   UI: { DEFAULT_FAVICON: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><rect width="16" height="16" fill="%23ccc"/></svg>' },
   CLASSES: { VOLUME_NORMAL: 'volume-normal', VOLUME_LOW: 'volume-low', VOLUME_HIGH: 'volume-high', VOLUME_MUTED: 'volume-muted' }
 };